@@ -23,6 +23,119 @@ const sortByNameBtn = document.getElementById('sortByNameBtn');
 const sortByScoreBtn = document.getElementById('sortByScoreBtn');
 const sortByRatingBtn = document.getElementById('sortByRatingBtn');
 const downloadShortlistBtn = document.getElementById('downloadShortlistBtn');
+const downloadPairingsBtn = document.getElementById('downloadPairingsBtn');
+const tieBreakSelects = document.getElementById('tieBreakSelects');
+const kFactorInput = document.getElementById('kFactor');
+const crosstableSection = document.getElementById('crosstableSection');
+const crosstableContainer = document.getElementById('crosstableContainer');
+const downloadCrosstableCsvBtn = document.getElementById('downloadCrosstableCsvBtn');
+const downloadCrosstableHtmlBtn = document.getElementById('downloadCrosstableHtmlBtn');
+const playerSection = document.getElementById('playerSection');
+const playerDetailName = document.getElementById('playerDetailName');
+const playerDetail = document.getElementById('playerDetail');
+const printPlayerCardBtn = document.getElementById('printPlayerCardBtn');
+const closePlayerDetailBtn = document.getElementById('closePlayerDetailBtn');
+const kFactorHint = document.getElementById('kFactorHint');
+const TIE_BREAK_LEVELS = 4;
+const tournamentNameInput = document.getElementById('tournamentName');
+const savedTournamentsSelect = document.getElementById('savedTournaments');
+const newTournamentBtn = document.getElementById('newTournamentBtn');
+const loadTournamentBtn = document.getElementById('loadTournamentBtn');
+const deleteTournamentBtn = document.getElementById('deleteTournamentBtn');
+const saveStatus = document.getElementById('saveStatus');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const exportTrfBtn = document.getElementById('exportTrfBtn');
+const importTournamentBtn = document.getElementById('importTournamentBtn');
+const importTournamentFile = document.getElementById('importTournamentFile');
+const roundSelect = document.getElementById('roundSelect');
+const roundsHint = document.getElementById('roundsHint');
+const useSuggestedRoundsBtn = document.getElementById('useSuggestedRoundsBtn');
+const bracketSection = document.getElementById('bracketSection');
+const bracketContainer = document.getElementById('bracketContainer');
+const bracketHighlight = document.getElementById('bracketHighlight');
+const bracketZoom = document.getElementById('bracketZoom');
+const downloadBracketSvgBtn = document.getElementById('downloadBracketSvgBtn');
+const downloadBracketPngBtn = document.getElementById('downloadBracketPngBtn');
+const knockoutFormatGroup = document.getElementById('knockoutFormatGroup');
+const formatInputs = {
+    games: document.getElementById('formatGames'),
+    rapidGames: document.getElementById('formatRapid'),
+    blitzGames: document.getElementById('formatBlitz'),
+    armageddon: document.getElementById('formatArmageddon')
+};
+const formatHint = document.getElementById('formatHint');
+const grandFinalResetGroup = document.getElementById('grandFinalResetGroup');
+const grandFinalResetInput = document.getElementById('grandFinalReset');
+const arenaSettingsGroup = document.getElementById('arenaSettingsGroup');
+const arenaInputs = {
+    durationMinutes: document.getElementById('arenaDuration'),
+    streaks: document.getElementById('arenaStreaks'),
+    berserk: document.getElementById('arenaBerserk')
+};
+const arenaHint = document.getElementById('arenaHint');
+const teamInput = document.getElementById('teamInput');
+const teamBoardsInput = document.getElementById('teamBoards');
+const teamScoringSelect = document.getElementById('teamScoring');
+const saveTeamsBtn = document.getElementById('saveTeamsBtn');
+const teamsFromClubsBtn = document.getElementById('teamsFromClubsBtn');
+const teamHint = document.getElementById('teamHint');
+const avoidanceGroup = document.getElementById('avoidanceGroup');
+const avoidanceHint = document.getElementById('avoidanceHint');
+const byeSettingsGroup = document.getElementById('byeSettingsGroup');
+const byeInputs = {
+    points: document.getElementById('byeValue'),
+    countsForTieBreaks: document.getElementById('byeTieBreaks')
+};
+const byeHint = document.getElementById('byeHint');
+const roundRobinGroup = document.getElementById('roundRobinGroup');
+const roundRobinInputs = {
+    cycles: document.getElementById('roundRobinCycles'),
+    numbers: document.getElementById('pairingNumberMethod')
+};
+const redrawNumbersBtn = document.getElementById('redrawNumbersBtn');
+const previewScheduleBtn = document.getElementById('previewScheduleBtn');
+const roundRobinHint = document.getElementById('roundRobinHint');
+const playoffGroup = document.getElementById('playoffGroup');
+const playoffInputs = {
+    system: document.getElementById('playoffSystem'),
+    qualifiers: document.getElementById('playoffQualifiers')
+};
+const playoffHint = document.getElementById('playoffHint');
+const scheduleSection = document.getElementById('scheduleSection');
+const scheduleContainer = document.getElementById('scheduleContainer');
+const downloadScheduleBtn = document.getElementById('downloadScheduleBtn');
+const closeScheduleBtn = document.getElementById('closeScheduleBtn');
+const lateEntryGroup = document.getElementById('lateEntryGroup');
+const lateEntryScore = document.getElementById('lateEntryScore');
+const statusPlayer = document.getElementById('statusPlayer');
+const statusAction = document.getElementById('statusAction');
+const statusRound = document.getElementById('statusRound');
+const applyStatusBtn = document.getElementById('applyStatusBtn');
+const statusList = document.getElementById('statusList');
+const statusHint = document.getElementById('statusHint');
+const ARENA_FINISHED_LIMIT = 30; // finished games listed under the running ones
+const K_FACTOR_HINT = 'FIDE: 40 for new and junior players, 20 below 2400, 10 from 2400.';
+
+const importFile = document.getElementById('importFile');
+const importFileBtn = document.getElementById('importFileBtn');
+const importPanel = document.getElementById('importPanel');
+const importHasHeader = document.getElementById('importHasHeader');
+const confirmImportBtn = document.getElementById('confirmImportBtn');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
+const IMPORT_PREVIEW_LIMIT = 200; // rows shown in the preview table
+
+const storage = new TournamentStorage();
+let importState = null; // { fileName, rows, mapping } while the import panel is open
+let arenaClock = null; // interval updating the arena countdown
+let teamStandingsBy = null; // team standings view: TEAM_SCORING_*, null = the tournament's team scoring
+let detailPlayerId = null; // player shown in the player detail card
+
+const ROUND_STATUS_LABELS = {
+    [ROUND_OPEN]: 'Open – no results yet',
+    [ROUND_RESULTS_PENDING]: 'Results pending',
+    [ROUND_COMPLETE]: '✅ Complete – ready for next round',
+    [ROUND_NEXT_PAIRED]: 'Closed – next round paired'
+};
 
 // Event Listeners
 addPlayersBtn.addEventListener('click', addPlayers);
@@ -34,16 +147,308 @@ sortByNameBtn.addEventListener('click', () => updateStandings('name'));
 sortByScoreBtn.addEventListener('click', () => updateStandings('score'));
 sortByRatingBtn.addEventListener('click', () => updateStandings('rating'));
 if (downloadShortlistBtn) downloadShortlistBtn.addEventListener('click', downloadShortlist);
+if (downloadPairingsBtn) downloadPairingsBtn.addEventListener('click', downloadPairings);
+if (downloadCrosstableCsvBtn) downloadCrosstableCsvBtn.addEventListener('click', downloadCrosstableCsv);
+if (downloadCrosstableHtmlBtn) downloadCrosstableHtmlBtn.addEventListener('click', downloadCrosstableHtml);
+if (tournamentNameInput) tournamentNameInput.addEventListener('change', renameTournament);
+if (newTournamentBtn) newTournamentBtn.addEventListener('click', newTournament);
+if (loadTournamentBtn) loadTournamentBtn.addEventListener('click', loadSelectedTournament);
+if (deleteTournamentBtn) deleteTournamentBtn.addEventListener('click', deleteSelectedTournament);
+if (exportJsonBtn) exportJsonBtn.addEventListener('click', downloadTournamentJson);
+if (exportTrfBtn) exportTrfBtn.addEventListener('click', downloadTournamentTrf);
+if (importTournamentBtn) importTournamentBtn.addEventListener('click', () => importTournamentFile.click());
+if (importTournamentFile) importTournamentFile.addEventListener('change', importTournament);
+roundsCount.addEventListener('change', applyPlannedRounds);
+pairingSystem.addEventListener('change', updateRoundsHint);
+pairingSystem.addEventListener('change', updateBracketOptions);
+if (grandFinalResetInput) grandFinalResetInput.addEventListener('change', applyGrandFinalReset);
+Object.values(formatInputs).forEach(input => {
+    if (input) input.addEventListener('change', applyKnockoutFormat);
+});
+if (saveTeamsBtn) saveTeamsBtn.addEventListener('click', saveTeams);
+if (teamsFromClubsBtn) teamsFromClubsBtn.addEventListener('click', fillTeamsFromClubs);
+if (teamBoardsInput) teamBoardsInput.addEventListener('change', applyTeamBoards);
+if (teamScoringSelect) teamScoringSelect.addEventListener('change', applyTeamScoring);
+if (applyStatusBtn) applyStatusBtn.addEventListener('click', applyPlayerStatus);
+if (kFactorInput) kFactorInput.addEventListener('change', applyKFactor);
+if (printPlayerCardBtn) printPlayerCardBtn.addEventListener('click', printPlayerCard);
+if (closePlayerDetailBtn) closePlayerDetailBtn.addEventListener('click', () => showPlayerDetail(null));
+if (avoidanceGroup) {
+    avoidanceGroup.querySelectorAll('[data-avoid]').forEach(input => input.addEventListener('change', applyAvoidanceRules));
+}
+Object.values(arenaInputs).forEach(input => {
+    if (input) input.addEventListener('change', applyArenaSettings);
+});
+Object.values(byeInputs).forEach(input => {
+    if (input) input.addEventListener('change', applyByeSettings);
+});
+Object.values(roundRobinInputs).forEach(input => {
+    if (input) input.addEventListener('change', applyRoundRobinSettings);
+});
+Object.values(playoffInputs).forEach(input => {
+    if (input) input.addEventListener('change', applyPlayoff);
+});
+if (redrawNumbersBtn) redrawNumbersBtn.addEventListener('click', redrawPairingNumbers);
+if (previewScheduleBtn) previewScheduleBtn.addEventListener('click', () => showSchedule(true));
+if (closeScheduleBtn) closeScheduleBtn.addEventListener('click', () => showSchedule(false));
+if (downloadScheduleBtn) downloadScheduleBtn.addEventListener('click', downloadSchedule);
+if (bracketHighlight) bracketHighlight.addEventListener('change', updateBracketView);
+if (bracketZoom) bracketZoom.addEventListener('change', updateBracketView);
+if (bracketContainer) bracketContainer.addEventListener('click', highlightClickedPlayer);
+if (standingsContainer) standingsContainer.addEventListener('click', showClickedPlayer);
+if (downloadBracketSvgBtn) downloadBracketSvgBtn.addEventListener('click', downloadBracketSvg);
+if (downloadBracketPngBtn) downloadBracketPngBtn.addEventListener('click', downloadBracketPng);
+if (useSuggestedRoundsBtn) useSuggestedRoundsBtn.addEventListener('click', useSuggestedRounds);
+if (importFileBtn) importFileBtn.addEventListener('click', () => importFile.click());
+if (importFile) importFile.addEventListener('change', readImportFile);
+if (importHasHeader) importHasHeader.addEventListener('change', renderImportPanel);
+if (confirmImportBtn) confirmImportBtn.addEventListener('click', confirmImport);
+if (cancelImportBtn) cancelImportBtn.addEventListener('click', closeImportPanel);
+if (roundSelect) roundSelect.addEventListener('change', () => showRound(parseInt(roundSelect.value, 10)));
+
+// Build the ordered tie-break dropdowns (Tie-break 1, 2, ...) from TIE_BREAKS
+function renderTieBreakSelects() {
+    if (!tieBreakSelects) return;
+    const options = Object.entries(TIE_BREAKS)
+        .map(([key, tb]) => `<option value="${key}">${tb.label}</option>`)
+        .join('');
+    let html = '';
+    for (let i = 0; i < TIE_BREAK_LEVELS; i++) {
+        html += `<select class="tie-break-select" aria-label="Tie-break ${i + 1}"><option value="">— None —</option>${options}</select>`;
+    }
+    tieBreakSelects.innerHTML = html;
+    tieBreakSelects.querySelectorAll('select').forEach((select, i) => {
+        select.value = tournament.tieBreaks[i] || '';
+        select.addEventListener('change', changeTieBreaks);
+    });
+}
+
+// Apply the tie-break order chosen in the dropdowns
+function changeTieBreaks() {
+    const order = [...tieBreakSelects.querySelectorAll('select')]
+        .map(select => select.value)
+        .filter(Boolean);
+    tournament.setTieBreaks(order);
+    renderTieBreakSelects();
+    updateStandings();
+    autosave();
+}
+
+// Apply the K-factor for the rating change estimates
+function applyKFactor() {
+    try {
+        tournament.setKFactor(parseInt(kFactorInput.value, 10));
+    } catch (error) {
+        kFactorInput.value = tournament.kFactor;
+        if (kFactorHint) kFactorHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    if (kFactorHint) kFactorHint.textContent = K_FACTOR_HINT;
+    updateStandings();
+    autosave();
+}
+
+// Elo columns: average opponent, performance, rating change ('' before the first rated game)
+function eloCells(elo) {
+    if (!elo || elo.games === 0) return ['', '', ''];
+    const change = Math.round(elo.ratingChange * 10) / 10;
+    return [Math.round(elo.averageOpponent), Math.round(elo.performance), `${change > 0 ? '+' : ''}${change.toFixed(1)}`];
+}
+
+// Save the tournament to localStorage (called after every change)
+function autosave() {
+    const saved = storage.save(tournament);
+    renderSavedTournaments();
+    if (saveStatus) {
+        saveStatus.textContent = saved
+            ? `💾 Saved ${new Date().toLocaleTimeString()}`
+            : '⚠️ Could not save (browser storage full or disabled)';
+    }
+}
+
+// Fill the saved tournaments dropdown
+function renderSavedTournaments() {
+    if (!savedTournamentsSelect) return;
+    const saved = storage.list();
+    savedTournamentsSelect.innerHTML = saved.length === 0
+        ? '<option value="">No saved tournaments</option>'
+        : saved.map(entry => `<option value="${escapeXml(entry.id)}">${escapeXml(entry.name)} – ${entry.players} players, round ${entry.round} (${escapeXml(entry.pairingSystem)})</option>`).join('');
+    savedTournamentsSelect.value = tournament.id;
+    if (tournamentNameInput) tournamentNameInput.value = tournament.name;
+}
+
+// Refresh every view from the tournament object
+function refreshAll() {
+    if (tournament.currentRound > 0) pairingSystem.value = tournament.pairingSystem;
+    roundsCount.value = tournament.plannedRounds;
+    if (kFactorInput) kFactorInput.value = tournament.kFactor;
+    if (grandFinalResetInput) grandFinalResetInput.checked = tournament.grandFinalReset;
+    if (formatInputs.games) {
+        formatInputs.games.value = tournament.knockoutFormat.games;
+        formatInputs.rapidGames.value = tournament.knockoutFormat.rapidGames;
+        formatInputs.blitzGames.value = tournament.knockoutFormat.blitzGames;
+        formatInputs.armageddon.checked = tournament.knockoutFormat.armageddon;
+        updateFormatHint();
+    }
+    if (arenaInputs.durationMinutes) {
+        arenaInputs.durationMinutes.value = tournament.arenaSettings.durationMinutes;
+        arenaInputs.streaks.checked = tournament.arenaSettings.streaks;
+        arenaInputs.berserk.checked = tournament.arenaSettings.berserk;
+        updateArenaHint();
+    }
+    if (byeInputs.points) {
+        byeInputs.points.value = String(tournament.byeSettings.points);
+        byeInputs.countsForTieBreaks.checked = tournament.byeSettings.countsForTieBreaks;
+        updateByeHint();
+    }
+    if (roundRobinInputs.cycles) {
+        roundRobinInputs.cycles.value = String(tournament.roundRobinCycles);
+        roundRobinInputs.numbers.value = tournament.pairingNumberMethod;
+    }
+    if (playoffInputs.system) {
+        playoffInputs.system.value = tournament.playoff ? tournament.playoff.system : '';
+        if (tournament.playoff) playoffInputs.qualifiers.value = tournament.playoff.qualifiers;
+    }
+    updateBracketOptions();
+    renderAvoidanceRules();
+    renderTeams();
+    renderPlayerStatus();
+    renderTieBreakSelects();
+    renderSavedTournaments();
+    updatePlayerCount();
+    updateStandings();
+    showCurrentRound();
+}
+
+// Switch to a saved tournament
+function loadTournament(id) {
+    const snapshot = storage.load(id);
+    if (!snapshot) return false;
+    try {
+        tournament.restore(snapshot);
+    } catch (error) {
+        if (saveStatus) saveStatus.textContent = `⚠️ ${error.message}`;
+        return false;
+    }
+    refreshAll();
+    storage.save(tournament);
+    return true;
+}
+
+// Reopen the tournament that was open before the page was refreshed
+function restoreActiveTournament() {
+    const id = storage.activeId();
+    if (!id || !loadTournament(id)) refreshAll();
+}
+
+function loadSelectedTournament() {
+    if (savedTournamentsSelect && savedTournamentsSelect.value) {
+        loadTournament(savedTournamentsSelect.value);
+    }
+}
+
+// Start a new, empty tournament (the current one stays saved)
+function newTournament() {
+    autosave();
+    const count = storage.list().length;
+    tournament.restore(new Tournament(`Tournament ${count + 1}`).toSnapshot());
+    refreshAll();
+    autosave();
+}
+
+function renameTournament() {
+    const name = tournamentNameInput.value.trim();
+    if (!name) return;
+    tournament.name = name;
+    autosave();
+}
+
+// Delete the selected saved tournament; deleting the open one starts a new tournament
+function deleteSelectedTournament() {
+    if (!savedTournamentsSelect || !savedTournamentsSelect.value) return;
+    const id = savedTournamentsSelect.value;
+    const entry = storage.list().find(e => e.id === id);
+    if (!confirm(`Delete saved tournament "${entry ? entry.name : id}"? This cannot be undone.`)) return;
+    storage.remove(id);
+    if (id === tournament.id) {
+        tournament.restore(new Tournament().toSnapshot());
+        refreshAll();
+    } else {
+        renderSavedTournaments();
+    }
+}
+
+// File name stem from the tournament name
+function tournamentFileStem() {
+    return (tournament.name || 'tournament').replace(/[^\w\-]+/g, '_').replace(/^_+|_+$/g, '') || 'tournament';
+}
+
+// Export the whole tournament (players, rounds, colours, results) as JSON
+function downloadTournamentJson() {
+    downloadFile(exportTournamentJson(tournament), `${tournamentFileStem()}.json`, 'application/json');
+}
+
+// Export a TRF-16 report for rating officers and other pairing programs
+function downloadTournamentTrf() {
+    if (tournament.players.length === 0) {
+        alert('No players to export.');
+        return;
+    }
+    try {
+        downloadFile(exportTrf(tournament), `${tournamentFileStem()}.trf`, 'text/plain;charset=utf-8');
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// Open a JSON export or TRF report as a new saved tournament
+function importTournament() {
+    const file = importTournamentFile.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        importTournamentFile.value = '';
+        let snapshot;
+        try {
+            snapshot = parseTournamentFile(String(reader.result));
+        } catch (error) {
+            alert(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+        // TRF has no ID; a JSON export whose tournament is already saved here opens as a copy
+        if (!snapshot.id || (storage.load(snapshot.id) &&
+            !confirm(`"${snapshot.name}" is already saved in this browser. Replace the saved copy? (Cancel imports it as a new tournament.)`))) {
+            snapshot.id = new Tournament().id;
+        }
+
+        autosave();
+        try {
+            tournament.restore(snapshot);
+        } catch (error) {
+            alert(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+        refreshAll();
+        autosave();
+        if (saveStatus) saveStatus.textContent = `Imported "${tournament.name}" from ${file.name}.`;
+    };
+    reader.readAsText(file);
+}
+
+// Tie-break values: whole numbers as-is, otherwise up to 2 decimals
+function formatTieBreak(value) {
+    return String(Math.round((value || 0) * 100) / 100);
+}
 
-// Parse one line into { id, rating }. Supports "Name\t112" or "Name 112" or "Name".
+// Parse one line into { id, rating }. Supports "Name\t112", "Name  112" (2+ spaces), "Name | 112",
+// "Name (112)" or just "Name". A single space keeps digits in the name, so "Player 2024" stays a name.
 function parsePlayerLine(line) {
     const trimmed = line.trim();
     if (!trimmed) return null;
-    const parts = trimmed.split(/\s+/);
-    if (parts.length >= 2 && /^\d+$/.test(parts[parts.length - 1])) {
-        const rating = parseInt(parts.pop(), 10);
-        const id = parts.join(' ').trim();
-        return id ? { id, rating } : null;
+    const match = trimmed.match(/^(.*?)(?:\t+\s*|\s{2,}|\s*\|\s*)(\d+)$/) || trimmed.match(/^(.*?)\s*\((\d+)\)$/);
+    if (match) {
+        const id = match[1].trim();
+        return id ? { id, rating: parseInt(match[2], 10) } : null;
     }
     return { id: trimmed, rating: 1500 };
 }
@@ -66,10 +471,13 @@ function addPlayers() {
     if (playersToAdd.length === 0) return;
     if (!tournament) return;
 
-    const added = tournament.addPlayers(playersToAdd);
+    const added = addToTournament(playersToAdd);
+    if (added === null) return;
     playerInput.value = '';
     updatePlayerCount();
     updateStandings();
+    renderPlayerStatus();
+    autosave();
     
     // Show success message in player count area
     const countElement = document.getElementById('playerCount');
@@ -96,12 +504,154 @@ function addPlayers() {
     }
 }
 
+// Add players; once the tournament has started they are late entries scored as chosen for the missed rounds
+// Returns the number added, or null (with the reason shown) if late entries aren't possible
+function addToTournament(players) {
+    try {
+        return tournament.addPlayers(players, { missedRounds: lateEntryScore ? lateEntryScore.value : BYE_ABSENT });
+    } catch (error) {
+        const countElement = document.getElementById('playerCount');
+        const parentElement = countElement.parentElement;
+        parentElement.innerHTML = `<span id="playerCount">${tournament.players.length}</span> players registered – ⚠️ ${escapeXml(error.message)}`;
+        setTimeout(() => {
+            parentElement.innerHTML = `<span id="playerCount">${tournament.players.length}</span> players registered`;
+        }, 4000);
+        return null;
+    }
+}
+
+// Read a CSV / TSV file and open the column-mapping preview
+function readImportFile() {
+    const file = importFile.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        importFile.value = '';
+        const { rows } = parseDelimitedText(String(reader.result));
+        if (rows.length === 0) {
+            importState = null;
+            importPanel.style.display = 'block';
+            document.getElementById('importPreview').innerHTML = '<p class="empty-message">The file has no rows.</p>';
+            return;
+        }
+        const knownHeader = rows[0].some(cell =>
+            Object.values(IMPORT_FIELDS).some(def => def.headers.includes(cell.toLowerCase().trim()))
+        );
+        importState = { fileName: file.name, rows, mapping: guessImportMapping(rows[0]) };
+        importHasHeader.checked = knownHeader;
+        renderImportPanel();
+    };
+    reader.readAsText(file);
+}
+
+// Rows of the file that hold players (header excluded)
+function importDataRows() {
+    return importHasHeader.checked ? importState.rows.slice(1) : importState.rows;
+}
+
+// Draw mapping dropdowns and the preview table with duplicate / invalid rows flagged
+function renderImportPanel() {
+    if (!importState) return;
+    importPanel.style.display = 'block';
+    document.getElementById('importFileName').textContent = importState.fileName;
+
+    const columnCount = Math.max(...importState.rows.map(r => r.length));
+    const header = importState.rows[0];
+    const columnLabel = (i) => (importHasHeader.checked && header[i] ? header[i] : `Column ${i + 1} (${importState.rows[0][i] || ''})`);
+    const mappingDiv = document.getElementById('importMapping');
+    mappingDiv.innerHTML = Object.entries(IMPORT_FIELDS).map(([field, def]) => `
+        <div class="control-group">
+            <label for="importMap-${field}">${def.label}${def.required ? ' *' : ''}</label>
+            <select id="importMap-${field}" data-field="${field}">
+                <option value="-1">— not imported —</option>
+                ${Array.from({ length: columnCount }, (_, i) => `<option value="${i}">${escapeXml(columnLabel(i))}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+    mappingDiv.querySelectorAll('select').forEach(select => {
+        select.value = String(importState.mapping[select.dataset.field]);
+        select.addEventListener('change', () => {
+            importState.mapping[select.dataset.field] = parseInt(select.value, 10);
+            renderImportPanel();
+        });
+    });
+
+    const firstRowNumber = importHasHeader.checked ? 2 : 1;
+    const preview = buildImportPreview(importDataRows(), importState.mapping, tournament.players.map(p => p.id), firstRowNumber);
+    const ok = preview.filter(r => r.status === 'ok').length;
+    const duplicates = preview.filter(r => r.status === 'duplicate').length;
+    const invalid = preview.filter(r => r.status === 'invalid').length;
+    document.getElementById('importSummary').innerHTML = `
+        <strong>${ok} ready to add</strong>
+        ${duplicates ? ` | <span style="color: #856404;">${duplicates} duplicate${duplicates > 1 ? 's' : ''} (skipped)</span>` : ''}
+        ${invalid ? ` | <span style="color: #e74c3c;">${invalid} invalid (skipped)</span>` : ''}
+    `;
+    confirmImportBtn.textContent = `Add ${ok} player${ok === 1 ? '' : 's'}`;
+    confirmImportBtn.disabled = ok === 0;
+
+    const statusCell = (r) => (r.status === 'ok'
+        ? '<span style="color: #28a745;">✅ OK</span>'
+        : `<span style="color: ${r.status === 'duplicate' ? '#856404' : '#e74c3c'};">⚠️ ${escapeXml(r.message)}</span>`);
+    const shown = preview.slice(0, IMPORT_PREVIEW_LIMIT);
+    document.getElementById('importPreview').innerHTML = `
+        <table class="standings-table">
+            <thead>
+                <tr><th>Row</th><th>Name</th><th>Rating</th><th>ID</th><th>Fed</th><th>Club</th><th>Family</th><th>Status</th></tr>
+            </thead>
+            <tbody>
+                ${shown.map(r => `
+                    <tr ${r.status !== 'ok' ? 'style="background-color: #fff3cd;"' : ''}>
+                        <td>${r.rowNumber}</td>
+                        <td>${escapeXml(r.player.id || '-')}</td>
+                        <td>${escapeXml(r.player.rating)}</td>
+                        <td>${escapeXml(r.player.fideId)}</td>
+                        <td>${escapeXml(r.player.federation)}</td>
+                        <td>${escapeXml(r.player.club)}</td>
+                        <td>${escapeXml(r.player.family)}</td>
+                        <td>${statusCell(r)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${preview.length > shown.length ? `<p class="empty-message">… and ${preview.length - shown.length} more rows</p>` : ''}
+    `;
+}
+
+// Add the valid rows from the preview
+function confirmImport() {
+    if (!importState) return;
+    const firstRowNumber = importHasHeader.checked ? 2 : 1;
+    const players = buildImportPreview(importDataRows(), importState.mapping, tournament.players.map(p => p.id), firstRowNumber)
+        .filter(r => r.status === 'ok')
+        .map(r => r.player);
+    const added = tournament.addPlayers(players);
+    closeImportPanel();
+    updatePlayerCount();
+    updateStandings();
+    autosave();
+
+    const countElement = document.getElementById('playerCount');
+    const parentElement = countElement.parentElement;
+    parentElement.innerHTML = `<span id="playerCount">${tournament.players.length}</span> players registered (+${added} imported from file)`;
+    setTimeout(() => {
+        parentElement.innerHTML = `<span id="playerCount">${tournament.players.length}</span> players registered`;
+    }, 2500);
+}
+
+function closeImportPanel() {
+    importState = null;
+    importPanel.style.display = 'none';
+}
+
 // Clear all players
 function clearPlayers() {
     tournament.clearPlayers();
     playerInput.value = '';
+    renderTeams();
+    renderPlayerStatus();
     updatePlayerCount();
     updateStandings();
+    autosave();
     roundSection.style.display = 'none';
     pairingsContainer.innerHTML = '';
     
@@ -127,10 +677,11 @@ function generateRandomPlayers() {
         for (let i = 1; i <= num; i++) {
             randomPlayers.push(`Player${i}`);
         }
-        tournament.addPlayers(randomPlayers);
+        if (addToTournament(randomPlayers) === null) return;
         playerInput.value = '';
         updatePlayerCount();
         updateStandings();
+        autosave();
         const countElement = document.getElementById('playerCount');
         const parentElement = countElement.parentElement;
         parentElement.innerHTML = `<span id="playerCount">${tournament.players.length}</span> players registered (${num} random players added)`;
@@ -144,10 +695,12 @@ function generateRandomPlayers() {
         // List of names (with optional ratings): add them as players
         const playersToAdd = parsePlayerInput(input);
         if (playersToAdd.length === 0) return;
-        const added = tournament.addPlayers(playersToAdd);
+        const added = addToTournament(playersToAdd);
+        if (added === null) return;
         playerInput.value = '';
         updatePlayerCount();
         updateStandings();
+        autosave();
         const countElement = document.getElementById('playerCount');
         const parentElement = countElement.parentElement;
         parentElement.innerHTML = `<span id="playerCount">${tournament.players.length}</span> players registered (${added} added from your list)`;
@@ -163,9 +716,10 @@ function generateRandomPlayers() {
     for (let i = 1; i <= num; i++) {
         randomPlayers.push(`Player${i}`);
     }
-    tournament.addPlayers(randomPlayers);
+    if (addToTournament(randomPlayers) === null) return;
     updatePlayerCount();
     updateStandings();
+    autosave();
     const countElement = document.getElementById('playerCount');
     const parentElement = countElement.parentElement;
     parentElement.innerHTML = `<span id="playerCount">${tournament.players.length}</span> players registered (${num} random players added)`;
@@ -183,42 +737,53 @@ function generateRound() {
         return;
     }
 
-    // For knockout: check if previous round results are recorded
-    if (pairingSystem.value === 'knockout' && tournament.currentRound > 0) {
+    // Every system: previous round results must be recorded (or deferred by the arbiter); an arena has no rounds
+    if (tournament.currentRound > 0 && !tournament.arena) {
         const previousRound = tournament.currentRound;
-        if (!tournament.areAllResultsRecorded(previousRound)) {
-            // Show message in round section instead of alert
-            roundSection.style.display = 'block';
-            pairingsContainer.innerHTML = '<p class="empty-message" style="color: #856404;">⚠️ Please record results for all matches in the previous round before generating next round.<br><br>Click the ✓ buttons to mark winners.</p>';
+        const missing = tournament.getMissingResults(previousRound);
+        if (missing.length > 0) {
+            // Show message above the round's cards instead of alert
+            showRound(previousRound);
+            const games = missing.map(p => `${p.player1Id} vs ${p.player2Id}`).join(', ');
+            const howTo = tournament.isKnockoutRound(previousRound)
+                ? 'Click the ✓ buttons to mark winners.'
+                : 'Record the results, or click "Decide later" for a game the arbiter will settle afterwards.';
+            showRoundNotice(`Please record results for all matches in round ${previousRound} before generating next round. Missing (${missing.length}): ${games}. ${howTo}`);
             return;
         }
     }
 
+    if (pairingSystem.value === 'swiss' && !applyPlannedRounds()) return;
+
     try {
         const system = pairingSystem.value;
-        const pairings = tournament.generatePairings(system);
+        tournament.generatePairings(system);
+        // The playoff may have taken over from the qualifying system
+        pairingSystem.value = tournament.pairingSystem;
+        updateRoundsHint();
         
-        displayPairings(pairings);
+        // From the saved round, so byes and absences are listed too
+        showRound(tournament.currentRound);
         updateStandings();
-        roundSection.style.display = 'block';
-        currentRoundSpan.textContent = tournament.currentRound;
+        updateBracketOptions();
+        renderPlayerStatus();
+        if (teamBoardsInput) teamBoardsInput.disabled = true;
+        autosave();
         
-        // Show knockout info (no alerts, info shown in display)
-        if (system === 'knockout') {
-            const remaining = tournament.activePlayers.length;
-            if (remaining === 1) {
-                // Winner will be shown in displayPairings
-            }
-        }
     } catch (error) {
         // Show error in round section instead of alert
         roundSection.style.display = 'block';
-        pairingsContainer.innerHTML = `<p class="empty-message" style="color: #e74c3c;">⚠️ ${error.message}</p>`;
+        pairingsContainer.innerHTML = `<p class="empty-message" style="color: #e74c3c;">⚠️ ${escapeXml(error.message)}</p>`;
     }
 }
 
 // Display pairings
-function displayPairings(pairings) {
+function displayPairings(pairings, roundNum = tournament.currentRound) {
+    if (tournament.arena) {
+        displayArena();
+        return;
+    }
+    stopArenaClock();
     pairingsContainer.innerHTML = '';
 
     if (pairings.length === 0) {
@@ -226,17 +791,22 @@ function displayPairings(pairings) {
         return;
     }
 
-    const isKnockout = pairingSystem.value === 'knockout';
-    const currentRoundNum = tournament.currentRound;
+    const isKnockout = isKnockoutView(roundNum);
+    const currentRoundNum = roundNum;
     
     // Show knockout info
     if (isKnockout && tournament.activePlayers) {
         const infoDiv = document.createElement('div');
         infoDiv.style.cssText = 'background: #fff3cd; padding: 15px; border-radius: 8px; margin-bottom: 15px; border-left: 4px solid #ffc107;';
         const allRecorded = tournament.areAllResultsRecorded(currentRoundNum);
+        const isDouble = tournament.pairingSystem === 'double-elimination';
+        const oneLoss = tournament.activePlayers.filter(p => p.losses > 0).length;
+        const counts = isDouble
+            ? `Winners bracket: ${tournament.activePlayers.length - oneLoss} | Losers bracket: ${oneLoss} | Eliminated: ${tournament.eliminatedPlayers.length}`
+            : `Active Players: ${tournament.activePlayers.length} | Eliminated: ${tournament.eliminatedPlayers.length}`;
         infoDiv.innerHTML = `
-            <strong>⚔️ Knockout Round ${currentRoundNum}</strong><br>
-            <span style="color: #856404;">Active Players: ${tournament.activePlayers.length} | Eliminated: ${tournament.eliminatedPlayers.length}</span>
+            <strong>⚔️ ${isDouble ? 'Double Elimination' : 'Knockout'} Round ${currentRoundNum}</strong><br>
+            <span style="color: #856404;">${counts}</span>
             ${allRecorded ? '<br><span style="color: #28a745; font-weight: bold;">✅ All results recorded! Ready for next round.</span>' : '<br><span style="color: #856404;">Click ✓ buttons to mark winners</span>'}
         `;
         pairingsContainer.appendChild(infoDiv);
@@ -244,8 +814,37 @@ function displayPairings(pairings) {
 
     // Get round data to check recorded results
     const roundData = tournament.rounds.find(r => r.round === currentRoundNum);
+    const bracketState = isKnockout ? tournament.getBracketState() : null;
+
+    // Show round status (Swiss / Round-Robin; knockout has its own info box)
+    if (!isKnockout && roundData) {
+        const { status, missing, deferred } = tournament.getRoundStatus(currentRoundNum);
+        const statusDiv = document.createElement('div');
+        statusDiv.style.cssText = 'background: #e7f3ff; padding: 15px; border-radius: 8px; margin-bottom: 15px; border-left: 4px solid #2196F3;';
+        statusDiv.innerHTML = `
+            <strong>📋 Round ${currentRoundNum}: ${ROUND_STATUS_LABELS[status]}</strong>
+            ${missing.length > 0 ? `<br><span style="color: #856404;">${missing.length} result${missing.length > 1 ? 's' : ''} missing</span>` : ''}
+            ${deferred.length > 0 ? `<br><span style="color: #856404;">⏸ ${deferred.length} game${deferred.length > 1 ? 's' : ''} to be decided later</span>` : ''}
+        `;
+        pairingsContainer.appendChild(statusDiv);
+    }
+
+    // Show pairing warnings (e.g. a rematch that couldn't be avoided)
+    if (roundData && roundData.warnings && roundData.warnings.length > 0) {
+        const warningDiv = document.createElement('div');
+        warningDiv.style.cssText = 'background: #f8d7da; padding: 15px; border-radius: 8px; margin-bottom: 15px; border-left: 4px solid #e74c3c;';
+        warningDiv.innerHTML = `<strong>⚠️ Pairing notes</strong><br>${roundData.warnings.map(w => `<span style="color: #721c24;">${escapeXml(w)}</span>`).join('<br>')}`;
+        pairingsContainer.appendChild(warningDiv);
+    }
     
+    let lastTeamMatch = null;
     pairings.forEach((pairing, index) => {
+        const teamMatch = roundData && roundData.teamMatches ? roundData.pairings[index].teamMatch : undefined;
+        if (teamMatch !== undefined && teamMatch !== lastTeamMatch) {
+            pairingsContainer.appendChild(teamMatchHeader(roundData, teamMatch));
+            lastTeamMatch = teamMatch;
+        }
+
         const pairingCard = document.createElement('div');
         pairingCard.className = 'pairing-card';
         pairingCard.id = `pairing-${currentRoundNum}-${index}`;
@@ -260,18 +859,32 @@ function displayPairings(pairings) {
         const resultRecorded = pairingData ? pairingData.resultRecorded : false;
         const winnerId = pairingData ? pairingData.winnerId : null;
 
-        if (pairing.bye) {
+        if (pairing.bye && pairingData && pairingData.byeType && pairingData.byeType !== BYE_PAIRED) {
+            // Requested bye, absence or a late entry's missed round
+            const points = byePoints(pairingData);
+            pairingCard.innerHTML = `
+                <div class="player-info">
+                    <div class="player-name">${escapeXml(pairing.player1.id)}</div>
+                    <div class="player-stats">Score: ${pairing.player1.score} | Rating: ${pairing.player1.rating}</div>
+                </div>
+                <div class="vs-divider">${BYE_LABELS[pairingData.byeType].toUpperCase()}</div>
+                <div class="player-info">
+                    <div class="player-name">-</div>
+                    <div class="player-stats">Not paired – ${points === 0.5 ? '½ point' : `${points} points`}</div>
+                </div>
+            `;
+        } else if (pairing.bye) {
             const byeRecorded = resultRecorded || pairingData?.bye;
             pairingCard.innerHTML = `
                 <div class="player-info">
-                    <div class="player-name">${pairing.player1.id}</div>
+                    <div class="player-name">${escapeXml(pairing.player1.id)}</div>
                     <div class="player-stats">Score: ${pairing.player1.score} | Rating: ${pairing.player1.rating}</div>
                     ${byeRecorded ? '<div style="color: #28a745; font-weight: bold; margin-top: 5px;">✅ Advances (Bye)</div>' : ''}
                 </div>
                 <div class="vs-divider">BYE</div>
                 <div class="player-info">
                     <div class="player-name">-</div>
-                    <div class="player-stats">Free point - Advances automatically</div>
+                    <div class="player-stats">${isKnockout ? 'Free point - Advances automatically' : `Bye: ${formatTieBreak(byePoints(pairingData || {}, tournament.byeSettings))} pt, scored automatically`}</div>
                 </div>
             `;
         } else {
@@ -283,105 +896,517 @@ function displayPairings(pairings) {
             const p2Won = winnerId === pairing.player2.id;
             const p1Eliminated = p1 ? p1.eliminated : false;
             const p2Eliminated = p2 ? p2.eliminated : false;
+            // Double elimination: losing in the winners bracket (or a final that gets reset) is not the end
+            const bracket = pairingData ? pairingData.bracket : null;
+            const loserText = (loser) => {
+                if (bracket === BRACKET_WINNERS && tournament.bracket.system === 'double-elimination') return '⬇ Drops to losers bracket';
+                if (bracket === BRACKET_FINAL && loser && !loser.eliminated) return '↻ Bracket reset – final is replayed';
+                return '❌ ELIMINATED';
+            };
+            const matchLabel = [tournament.getMatchLabel(pairingData), pairingData && pairingData.walkover ? 'Walkover' : '']
+                .filter(Boolean).join(' · ');
+            const bracketLabel = matchLabel ? `<div class="bracket-label">${escapeXml(matchLabel)}</div>` : '';
             
-            const esc = (s) => (s || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
-            const p1IdEsc = esc(pairing.player1.id);
-            const p2IdEsc = esc(pairing.player2.id);
+            const p1IdEsc = escapeJsArg(pairing.player1.id);
+            const p2IdEsc = escapeJsArg(pairing.player2.id);
             
+            // Mini-match: results go in game by game; the arbiter marks a winner only if it ends level
+            const miniMatch = pairingData && pairingData.format ? tournament.getMiniMatch(pairingData) : null;
+            const markWinner = isKnockout && !resultRecorded && (!miniMatch || miniMatch.status === 'level');
+            const miniMatchHtml = miniMatch ? miniMatchPanel(currentRoundNum, pairingData, miniMatch, p1IdEsc, p2IdEsc) : '';
+
             let resultButtons = '';
             if (!isKnockout && !resultRecorded) {
+                const deferred = pairingData && pairingData.deferred;
                 resultButtons = `
                     <div class="result-buttons" style="margin-top: 10px; display: flex; gap: 8px; flex-wrap: wrap;">
-                        <button type="button" class="btn-result" onclick="recordMatchResult(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', '1-0')">1-0 ${pairing.player1.id}</button>
-                        <button type="button" class="btn-result" onclick="recordMatchResult(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', '0-1')">0-1 ${pairing.player2.id}</button>
+                        <button type="button" class="btn-result" onclick="recordMatchResult(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', '1-0')">1-0 ${escapeXml(pairing.player1.id)}</button>
+                        <button type="button" class="btn-result" onclick="recordMatchResult(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', '0-1')">0-1 ${escapeXml(pairing.player2.id)}</button>
                         <button type="button" class="btn-result btn-draw" onclick="recordMatchResult(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', '0.5-0.5')">½-½ Draw</button>
+                        <select class="result-select" aria-label="Other result" onchange="recordMatchResult(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', this.value)">
+                            <option value="">Other result…</option>
+                            ${Object.keys(GAME_RESULTS).filter(r => !isPlayedResult(r)).map(r => `<option value="${r}">${resultLabel(r)}</option>`).join('')}
+                        </select>
                     </div>
+                    ${pairingData && isPendingResult(pairingData.result) ? '<div style="color: #856404; font-weight: bold; margin-top: 5px;">* Adjourned – enter the result when the game is finished</div>' : ''}
+                    ${deferred ? '<div style="color: #856404; font-weight: bold; margin-top: 5px;">⏸ Deferred – will be decided later</div>' : ''}
+                    <button type="button" class="btn-undo" onclick="deferMatch(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', ${!deferred})">${deferred ? '▶ Needs a result now' : '⏸ Decide later'}</button>
                 `;
             }
             const resultText = !isKnockout && resultRecorded && pairingData && pairingData.result
-                ? `<div style="color: #28a745; font-weight: bold; margin-top: 5px;">Result: ${pairingData.result}</div>` : '';
+                ? `<div style="color: #28a745; font-weight: bold; margin-top: 5px;">Result: ${resultLabel(pairingData.result)}</div>` : '';
+            const undoButton = resultRecorded
+                ? `<button type="button" class="btn-undo" onclick="undoResult(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}')">↺ Change result</button>`
+                : '';
+            // Swiss / Round-Robin: player1 plays White
+            const hasColors = pairingData && pairingData.whiteId;
+            const p1Color = hasColors ? colorBadge(pairingData.whiteId === pairing.player1.id ? WHITE : BLACK) : '';
+            const p2Color = hasColors ? colorBadge(pairingData.whiteId === pairing.player2.id ? WHITE : BLACK) : '';
             
             pairingCard.innerHTML = `
                 <div class="player-info">
-                    <div class="player-name">${pairing.player1.id}</div>
+                    <div class="player-name">${p1Color}${escapeXml(pairing.player1.id)}</div>
                     <div class="player-stats">Score: ${p1 ? p1.score : pairing.player1.score} | Rating: ${p1 ? p1.rating : pairing.player1.rating} | W:${p1 ? p1.wins : pairing.player1.wins} L:${p1 ? p1.losses : pairing.player1.losses} D:${p1 ? p1.draws : pairing.player1.draws}</div>
                     ${isKnockout && p1Eliminated ? '<div style="color: #e74c3c;">❌ ELIMINATED</div>' : ''}
                     ${resultRecorded && p1Won ? '<div style="color: #28a745; font-weight: bold; margin-top: 5px;">✅ WINNER - Advances!</div>' : ''}
-                    ${resultRecorded && !p1Won && p2Won ? '<div style="color: #e74c3c; font-weight: bold; margin-top: 5px;">❌ ELIMINATED</div>' : ''}
-                    ${!resultRecorded && isKnockout ? `<button class="btn-win" onclick="recordWinner(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', '${p1IdEsc}')" style="margin-top: 10px;">✓ ${pairing.player1.id} Wins</button>` : ''}
+                    ${resultRecorded && !p1Won && p2Won ? `<div style="color: #e74c3c; font-weight: bold; margin-top: 5px;">${loserText(p1)}</div>` : ''}
+                    ${markWinner ? `<button class="btn-win" onclick="recordWinner(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', '${p1IdEsc}')" style="margin-top: 10px;">✓ ${escapeXml(pairing.player1.id)} Wins</button>` : ''}
                     ${resultButtons}
                     ${resultText}
+                    ${undoButton}
                 </div>
-                <div class="vs-divider">VS</div>
+                <div class="vs-divider">VS${bracketLabel}</div>
                 <div class="player-info">
-                    <div class="player-name">${pairing.player2.id}</div>
+                    <div class="player-name">${p2Color}${escapeXml(pairing.player2.id)}</div>
                     <div class="player-stats">Score: ${p2 ? p2.score : pairing.player2.score} | Rating: ${p2 ? p2.rating : pairing.player2.rating} | W:${p2 ? p2.wins : pairing.player2.wins} L:${p2 ? p2.losses : pairing.player2.losses} D:${p2 ? p2.draws : pairing.player2.draws}</div>
                     ${isKnockout && p2Eliminated ? '<div style="color: #e74c3c;">❌ ELIMINATED</div>' : ''}
                     ${resultRecorded && p2Won ? '<div style="color: #28a745; font-weight: bold; margin-top: 5px;">✅ WINNER - Advances!</div>' : ''}
-                    ${resultRecorded && !p2Won && p1Won ? '<div style="color: #e74c3c; font-weight: bold; margin-top: 5px;">❌ ELIMINATED</div>' : ''}
-                    ${!resultRecorded && isKnockout ? `<button class="btn-win" onclick="recordWinner(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', '${p2IdEsc}')" style="margin-top: 10px;">✓ ${pairing.player2.id} Wins</button>` : ''}
-                    ${!resultRecorded && isKnockout ? '<div style="color: #e74c3c; font-weight: bold; margin-top: 5px;">⚔️ Click button to mark winner</div>' : ''}
+                    ${resultRecorded && !p2Won && p1Won ? `<div style="color: #e74c3c; font-weight: bold; margin-top: 5px;">${loserText(p2)}</div>` : ''}
+                    ${markWinner ? `<button class="btn-win" onclick="recordWinner(${currentRoundNum}, '${p1IdEsc}', '${p2IdEsc}', '${p2IdEsc}')" style="margin-top: 10px;">✓ ${escapeXml(pairing.player2.id)} Wins</button>` : ''}
+                    ${markWinner ? `<div style="color: #e74c3c; font-weight: bold; margin-top: 5px;">⚔️ ${miniMatch ? 'Level after every tiebreak – arbiter marks the winner' : 'Click button to mark winner'}</div>` : ''}
                 </div>
+                ${miniMatchHtml}
             `;
         }
 
+        const nextText = bracketState ? nextMatchText(bracketState, pairingData) : '';
+        if (nextText) {
+            const nextDiv = document.createElement('div');
+            nextDiv.className = 'next-match';
+            nextDiv.textContent = nextText;
+            pairingCard.appendChild(nextDiv);
+        }
+
         pairingsContainer.appendChild(pairingCard);
     });
+
+    if (roundData && roundData.teamMatches) {
+        roundData.teamMatches.forEach((match, index) => {
+            if (!match.awayId) pairingsContainer.appendChild(teamMatchHeader(roundData, index));
+        });
+    }
+}
+
+// Heading above a team match's boards: the match score, and lineup buttons until a board has a result
+function teamMatchHeader(roundData, index) {
+    const match = roundData.teamMatches[index];
+    const header = document.createElement('div');
+    header.className = 'team-match-header';
+    if (!match.awayId) {
+        const matchPoints = teamByeMatchPoints(tournament.byeSettings);
+        header.innerHTML = `<strong>${escapeXml(match.homeId)}</strong> – bye (${matchPoints} match point${matchPoints === 1 ? '' : 's'}, no game points)`;
+        return header;
+    }
+    const games = roundData.pairings.filter(p => p.teamMatch === index);
+    let homePoints = 0;
+    let awayPoints = 0;
+    games.filter(p => p.resultRecorded).forEach(p => {
+        const [white, black] = resultPoints(p.result);
+        const homeIsWhite = homeHasWhite(match, p);
+        homePoints += homeIsWhite ? white : black;
+        awayPoints += homeIsWhite ? black : white;
+    });
+    const lineupButton = (teamId) => (games.some(p => p.resultRecorded) || tournament.pairingSystem === 'scheveningen'
+        ? ''
+        : `<button type="button" class="btn-undo" onclick="editLineup(${roundData.round}, ${index}, '${escapeJsArg(teamId)}')">✎ ${escapeXml(teamId)} lineup</button>`);
+    header.innerHTML = `
+        <strong>${escapeXml(match.homeId)} ${formatTieBreak(homePoints)} – ${formatTieBreak(awayPoints)} ${escapeXml(match.awayId)}</strong>
+        ${lineupButton(match.homeId)} ${lineupButton(match.awayId)}
+    `;
+    return header;
+}
+
+// Bring in reserves: the lineup is typed in board order
+function editLineup(round, matchIndex, teamId) {
+    const match = tournament.rounds.find(r => r.round === round).teamMatches[matchIndex];
+    const team = tournament.teams.find(t => t.id === teamId);
+    const answer = prompt(
+        `Lineup of ${teamId} for round ${round}, board 1 first (${tournament.teamBoards} players, comma-separated).\nSquad in board order: ${team.players.join(', ')}`,
+        match.lineups[teamId].join(', ')
+    );
+    if (answer === null) return;
+    try {
+        tournament.setTeamLineup(round, matchIndex, teamId, answer.split(',').map(id => id.trim()).filter(Boolean));
+    } catch (error) {
+        showRound(round);
+        showRoundNotice(error.message);
+        return;
+    }
+    showRound(round);
+    updateStandings();
+    autosave();
+}
+
+// Arena: countdown, the waiting pool, games in progress and the latest finished games
+function displayArena() {
+    const status = tournament.getArenaStatus();
+    const rules = [
+        tournament.arenaSettings.streaks ? '🔥 streaks' : '',
+        tournament.arenaSettings.berserk ? '⚡ berserk' : ''
+    ].filter(Boolean).join(', ');
+    const scoreOf = (player) => `${player.arenaScore}${player.onFire ? ' 🔥' : ''}`;
+    let clockText = `⏱ ${formatArenaTime(status.timeLeft)} left`;
+    if (status.over) {
+        clockText = status.playing.length > 0 ? '🏁 Time is up – games still in progress count' : '🏁 Arena finished';
+    }
+
+    let html = `
+        <div style="background: #e7f3ff; padding: 15px; border-radius: 8px; margin-bottom: 15px; border-left: 4px solid #2196F3;">
+            <strong>🏟️ Arena: <span id="arenaClock">${clockText}</span></strong><br>
+            <span style="color: #856404;">Playing: ${status.playing.length} games | Waiting: ${status.waiting.length} | Paused: ${status.paused.length}${rules ? ` | Rules: ${rules}` : ''}</span>
+        </div>
+    `;
+
+    const chip = (player, paused) => `
+        <span class="arena-chip">${escapeXml(player.id)} (${scoreOf(player)})
+            <button type="button" class="btn-undo" onclick="pauseArenaPlayer('${escapeJsArg(player.id)}', ${!paused})">${paused ? '▶ Rejoin' : '⏸ Pause'}</button>
+        </span>`;
+    if (status.waiting.length > 0) {
+        html += `<strong>Waiting for an opponent</strong><div class="arena-pool">${status.waiting.map(p => chip(p, false)).join('')}</div>`;
+    }
+    if (status.paused.length > 0) {
+        html += `<strong>Paused</strong><div class="arena-pool">${status.paused.map(p => chip(p, true)).join('')}</div>`;
+    }
+
+    html += status.playing.map(game => {
+        const player = (id) => {
+            const p = tournament.players.find(pl => pl.id === id);
+            const berserked = game.berserk.includes(id);
+            const berserkButton = tournament.arenaSettings.berserk
+                ? `<button type="button" class="btn-undo" onclick="berserkArenaPlayer(${game.game}, '${escapeJsArg(id)}', ${!berserked})">${berserked ? '⚡ Berserk (undo)' : '⚡ Berserk'}</button>`
+                : '';
+            return `
+                <div class="player-info">
+                    <div class="player-name">${colorBadge(id === game.whiteId ? WHITE : BLACK)}${escapeXml(id)}</div>
+                    <div class="player-stats">Arena: ${scoreOf(p)} | Rating: ${p.rating}</div>
+                    ${berserkButton}
+                </div>`;
+        };
+        return `
+            <div class="pairing-card">
+                ${player(game.whiteId)}
+                <div class="vs-divider">VS<div class="bracket-label">Game ${game.game}</div></div>
+                ${player(game.blackId)}
+                <div class="result-buttons" style="grid-column: 1 / -1; display: flex; gap: 8px; flex-wrap: wrap; justify-content: center;">
+                    <button type="button" class="btn-result" onclick="recordArenaGame(${game.game}, '1-0')">1-0 ${escapeXml(game.whiteId)}</button>
+                    <button type="button" class="btn-result" onclick="recordArenaGame(${game.game}, '0-1')">0-1 ${escapeXml(game.blackId)}</button>
+                    <button type="button" class="btn-result btn-draw" onclick="recordArenaGame(${game.game}, '0.5-0.5')">½-½ Draw</button>
+                </div>
+            </div>`;
+    }).join('');
+
+    if (status.finished.length > 0) {
+        const options = ['1-0', '0.5-0.5', '0-1'];
+        const rows = status.finished.slice(0, ARENA_FINISHED_LIMIT).map(game => `
+            <div class="arena-finished-game">
+                <span>Game ${game.game}</span>
+                <span>${escapeXml(game.whiteId)}${game.berserk.includes(game.whiteId) ? ' ⚡' : ''} – ${escapeXml(game.blackId)}${game.berserk.includes(game.blackId) ? ' ⚡' : ''}</span>
+                <select onchange="correctArenaGame(${game.game}, this.value)" aria-label="Result of game ${game.game}">
+                    ${options.map(r => `<option value="${r}"${r === game.result ? ' selected' : ''}>${r.replace(/0\.5/g, '½')}</option>`).join('')}
+                </select>
+            </div>`).join('');
+        html += `<div class="arena-finished"><strong>Finished games (latest first)</strong>${rows}</div>`;
+    }
+
+    pairingsContainer.innerHTML = html;
+    startArenaClock(status.over);
+}
+
+// "12:05" / "1:02:05"
+function formatArenaTime(ms) {
+    const total = Math.ceil(ms / 1000);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// Tick the countdown every second; redraw once when the time runs out
+function startArenaClock(over) {
+    stopArenaClock();
+    if (over) return;
+    arenaClock = setInterval(() => {
+        const clock = document.getElementById('arenaClock');
+        if (!tournament.arena || !clock) {
+            stopArenaClock();
+            return;
+        }
+        const timeLeft = tournament.getArenaStatus().timeLeft;
+        if (timeLeft > 0) {
+            clock.textContent = `⏱ ${formatArenaTime(timeLeft)} left`;
+            return;
+        }
+        displayArena();
+        updateStandings();
+    }, 1000);
+}
+
+function stopArenaClock() {
+    if (arenaClock) clearInterval(arenaClock);
+    arenaClock = null;
+}
+
+// Record an arena game; the two players are paired again straight away
+function recordArenaGame(gameNumber, result) {
+    try {
+        tournament.recordArenaResult(gameNumber, result);
+    } catch (error) {
+        showRoundNotice(error.message);
+        return;
+    }
+    displayArena();
+    updateStandings();
+    autosave();
+}
+
+// Fix the result of a finished arena game
+function correctArenaGame(gameNumber, result) {
+    if (!tournament.correctArenaResult(gameNumber, result)) return;
+    displayArena();
+    updateStandings();
+    autosave();
+}
+
+function berserkArenaPlayer(gameNumber, playerId, berserk) {
+    try {
+        tournament.setArenaBerserk(gameNumber, playerId, berserk);
+    } catch (error) {
+        showRoundNotice(error.message);
+        return;
+    }
+    displayArena();
+    autosave();
+}
+
+// Take a player out of the waiting pool, or bring them back (they are paired at once)
+function pauseArenaPlayer(playerId, paused) {
+    try {
+        tournament.setArenaPaused(playerId, paused);
+    } catch (error) {
+        showRoundNotice(error.message);
+        return;
+    }
+    displayArena();
+    autosave();
+}
+
+// Games of a knockout mini-match: results so far, buttons for the next game, the match score
+function miniMatchPanel(round, pairingData, state, p1IdEsc, p2IdEsc) {
+    const args = `${round}, '${p1IdEsc}', '${p2IdEsc}'`;
+    const rows = state.games.map((game, index) => {
+        const stage = `${STAGE_LABELS[game.stage]}${game.stage === STAGE_ARMAGEDDON ? '' : ` ${game.number}`}`;
+        const players = `${colorBadge(WHITE)}${escapeXml(game.whiteId)} – ${colorBadge(BLACK)}${escapeXml(game.blackId)}`;
+        const outcome = game.result
+            ? `<strong>${game.result.replace(/0\.5/g, '½')}</strong>
+               <button type="button" class="btn-undo" onclick="clearGame(${args}, ${index})" title="Clear this game and any after it">↺</button>`
+            : `<button type="button" class="btn-result" onclick="recordGame(${args}, ${index}, '1-0')">1-0</button>
+               <button type="button" class="btn-result btn-draw" onclick="recordGame(${args}, ${index}, '0.5-0.5')">½-½</button>
+               <button type="button" class="btn-result" onclick="recordGame(${args}, ${index}, '0-1')">0-1</button>`;
+        return `<div class="mini-match-game"><span class="mini-match-stage">${stage}</span><span>${players}</span><span class="mini-match-result">${outcome}</span></div>`;
+    }).join('');
+
+    const summary = miniMatchSummary(state, pairingData.player1Id, pairingData.player2Id);
+    const current = state.games[state.games.length - 1];
+    let status = '';
+    if (state.status === 'in-progress' && current.stage === STAGE_ARMAGEDDON) {
+        status = ` – Armageddon: a draw sends ${escapeXml(current.blackId)} (Black) through`;
+    } else if (state.status === 'in-progress' && current.stage !== STAGE_CLASSICAL) {
+        status = ` – level, ${STAGE_LABELS[current.stage].toLowerCase()} tiebreak`;
+    }
+    return `
+        <div class="mini-match">
+            <div class="mini-match-score">Match: ${summary || '0–0'}${status}</div>
+            ${rows}
+        </div>
+    `;
+}
+
+// Record one game of a knockout mini-match
+function recordGame(round, player1Id, player2Id, gameIndex, result) {
+    try {
+        if (!tournament.recordKnockoutGame(round, player1Id, player2Id, gameIndex, result)) return;
+    } catch (error) {
+        showRoundNotice(error.message);
+        return;
+    }
+    showRound(round);
+    updateStandings();
+    autosave();
+}
+
+// Clear a game of a knockout mini-match (and the games after it)
+function clearGame(round, player1Id, player2Id, gameIndex) {
+    try {
+        if (!tournament.clearKnockoutGame(round, player1Id, player2Id, gameIndex)) return;
+    } catch (error) {
+        showRoundNotice(error.message);
+        return;
+    }
+    showRound(round);
+    updateStandings();
+    autosave();
+}
+
+// Where the winner of a bracket match plays next, e.g. "Next: Semi-final vs P4" (the bracket is fixed in advance)
+function nextMatchText(bracketState, pairingData) {
+    if (!pairingData || !pairingData.matchId || pairingData.bracket === BRACKET_FINAL || pairingData.bracket === BRACKET_RESET) return '';
+    const next = nextBracketMatch(bracketState.matches, pairingData.matchId, 'winner');
+    if (!next) return '🏆 Winner takes the title';
+
+    const opponent = next.match.players[1 - next.slot];
+    let opponentText = opponent;
+    if (opponent === null) {
+        opponentText = 'nobody (bye)';
+    } else if (opponent === undefined) {
+        const slot = next.match.slots[1 - next.slot];
+        const source = bracketState.matches.find(m => m.id === (slot.winnerOf || slot.loserOf));
+        const names = source.players.map(id => id || 'TBD').join(' / ');
+        opponentText = `${slot.winnerOf ? 'winner' : 'loser'} of ${names}`;
+    }
+    return `Next: ${tournament.getMatchLabel(next.match)} vs ${opponentText}`;
+}
+
+// Small White / Black label shown before a player's name
+function colorBadge(color) {
+    return color === WHITE
+        ? '<span class="color-badge color-white" title="Plays White">♔ White</span> '
+        : '<span class="color-badge color-black" title="Plays Black">♚ Black</span> ';
 }
 
 // Record match result for Swiss / Round-Robin (1-0, 0-1, 0.5-0.5)
 function recordMatchResult(round, player1Id, player2Id, result) {
-    const success = tournament.recordRoundResult(round, player1Id, player2Id, result);
+    if (!result) return;
+    let success;
+    try {
+        success = tournament.recordRoundResult(round, player1Id, player2Id, result);
+    } catch (error) {
+        showRoundNotice(error.message);
+        return;
+    }
     if (success) {
-        const roundData = tournament.rounds.find(r => r.round === round);
-        if (roundData) {
-            const pairings = roundData.pairings.map(p => {
-                const pl1 = tournament.players.find(pl => pl.id === p.player1Id);
-                const pl2 = p.player2Id ? tournament.players.find(pl => pl.id === p.player2Id) : null;
-                return { player1: pl1, player2: pl2, round, bye: p.bye || false };
-            }).filter(p => p.player1);
-            displayPairings(pairings);
-            updateStandings();
-        }
+        showRound(round);
+        updateStandings();
+        autosave();
     }
 }
 
+// Arbiter override: pair the next round without waiting for this game (or undo that)
+function deferMatch(round, player1Id, player2Id, deferred) {
+    try {
+        if (!tournament.deferResult(round, player1Id, player2Id, deferred)) return;
+    } catch (error) {
+        showRoundNotice(error.message);
+        return;
+    }
+    showRound(round);
+    autosave();
+}
+
+// Clear a recorded result so it can be entered again (rolls back the players' stats)
+function undoResult(round, player1Id, player2Id) {
+    const check = tournament.checkResultChange(round);
+    if (!check.allowed) {
+        showRoundNotice(check.warning);
+        return;
+    }
+    if (check.warning && !confirm(`⚠️ ${check.warning}\n\nChange the result anyway?`)) return;
+
+    try {
+        const cleared = tournament.isKnockoutRound(round)
+            ? tournament.clearKnockoutResult(round, player1Id, player2Id)
+            : tournament.clearRoundResult(round, player1Id, player2Id, { force: true });
+        if (!cleared) return;
+    } catch (error) {
+        showRoundNotice(error.message);
+        return;
+    }
+    showRound(round);
+    updateStandings();
+    autosave();
+}
+
+// Show a warning above the pairing cards
+function showRoundNotice(message) {
+    const notice = document.createElement('div');
+    notice.style.cssText = 'background: #f8d7da; padding: 15px; border-radius: 8px; margin-bottom: 15px; border-left: 4px solid #e74c3c; color: #721c24;';
+    notice.textContent = `⚠️ ${message}`;
+    pairingsContainer.prepend(notice);
+}
+
 // Record winner for knockout match
 function recordWinner(round, player1Id, player2Id, winnerId) {
-    const success = tournament.recordKnockoutResult(round, player1Id, player2Id, winnerId);
+    let success;
+    try {
+        success = tournament.recordKnockoutResult(round, player1Id, player2Id, winnerId);
+    } catch (error) {
+        showRoundNotice(error.message);
+        return;
+    }
     
     if (success) {
-        // Refresh display
-        const system = pairingSystem.value;
-        const currentRoundData = tournament.rounds.find(r => r.round === round);
-        if (currentRoundData) {
-            // Recreate pairings from round data
-            const pairings = currentRoundData.pairings.map(p => {
-                const p1 = tournament.players.find(pl => pl.id === p.player1Id);
-                const p2 = p.player2Id ? tournament.players.find(pl => pl.id === p.player2Id) : null;
-                return {
-                    player1: p1,
-                    player2: p2,
-                    round: round,
-                    bye: p.bye || false,
-                    knockout: true
-                };
-            }).filter(p => p.player1 && (p.player2 || p.bye));
-            
-            displayPairings(pairings);
-            updateStandings();
-            
-            // Check if all results recorded - message shown in displayPairings
-            // No alert needed
-        }
+        // Refresh display - message for "all results recorded" shown in displayPairings
+        showRound(round);
+        updateStandings();
+        autosave();
     }
     // Errors are handled silently - the display will update to show the result
 }
 
+// Recreate pairing objects (with live player data) from a saved round
+function pairingsForRound(round) {
+    const roundData = tournament.rounds.find(r => r.round === round);
+    if (!roundData) return [];
+    return roundData.pairings.map(p => {
+        const p1 = tournament.players.find(pl => pl.id === p.player1Id);
+        const p2 = p.player2Id ? tournament.players.find(pl => pl.id === p.player2Id) : null;
+        return {
+            player1: p1,
+            player2: p2,
+            round,
+            bye: p.bye || false,
+            knockout: p.knockout || false
+        };
+    }).filter(p => p.player1 && (p.player2 || p.bye));
+}
+
+// Show the current round's pairing cards (e.g. after loading a saved tournament)
+function showCurrentRound() {
+    if (tournament.currentRound === 0) {
+        roundSection.style.display = 'none';
+        pairingsContainer.innerHTML = '';
+        return;
+    }
+    showRound(tournament.currentRound);
+}
+
+// Show any round's pairing cards (earlier rounds can be viewed to correct results)
+function showRound(round) {
+    displayPairings(pairingsForRound(round), round);
+    roundSection.style.display = 'block';
+    currentRoundSpan.textContent = round;
+    renderRoundSelect(round);
+}
+
+// Fill the "View round" dropdown
+function renderRoundSelect(selected) {
+    if (!roundSelect) return;
+    roundSelect.innerHTML = tournament.rounds
+        .map(r => `<option value="${r.round}">Round ${r.round}${r.round === tournament.currentRound ? ' (current)' : ''}</option>`)
+        .join('');
+    roundSelect.value = String(selected);
+}
+
+// Knockout layout for a round: asked per round, as a playoff follows Swiss or round-robin rounds
+// (before round 1: the system chosen in the form)
+function isKnockoutView(round) {
+    return round > 0 ? tournament.isKnockoutRound(round) : Tournament.isElimination(pairingSystem.value);
+}
+
 // Update standings display
 function updateStandings(sortBy = 'score') {
     const standings = tournament.getStandings(sortBy);
-    const isKnockout = pairingSystem.value === 'knockout';
+    const isKnockout = isKnockoutView(tournament.currentRound);
+    const isArena = Boolean(tournament.arena);
 
     if (standings.length === 0) {
         standingsContainer.innerHTML = '<p class="empty-message">No players registered yet.</p>';
@@ -389,6 +1414,18 @@ function updateStandings(sortBy = 'score') {
     }
 
     let html = '';
+
+    // Tournament over: announce the winners
+    const winners = tournament.getWinners(3);
+    if (winners.length > 0) {
+        const medals = ['🥇', '🥈', '🥉'];
+        html += `
+            <div style="background: #fff8e1; padding: 15px; border-radius: 8px; margin-bottom: 15px; border-left: 4px solid #f1c40f;">
+                <strong>🏆 Final Standings – Tournament Complete</strong><br>
+                ${winners.map((p, i) => `${medals[i]} <strong>${escapeXml(p.id)}</strong> (${isArena ? `${p.arenaScore} pts` : p.score.toFixed(1)})`).join(' &nbsp; ')}
+            </div>
+        `;
+    }
     
     // Show knockout status header
     if (isKnockout && tournament.activePlayers) {
@@ -400,18 +1437,25 @@ function updateStandings(sortBy = 'score') {
         `;
     }
 
+    if (tournament.teams.length > 0) html += teamStandingsHtml();
+
     html += `
         <table class="standings-table">
             <thead>
                 <tr>
                     <th class="rank">Rank</th>
                     <th>Player ID</th>
+                    ${isArena ? '<th title="Arena points: win 2, draw 1, doubled on a streak, +1 for a berserk win">Arena</th>' : ''}
                     <th>Score</th>
                     <th>Rating</th>
                     <th>Wins</th>
                     <th>Losses</th>
                     <th>Draws</th>
                     <th>Games</th>
+                    <th title="Average rating of the opponents played">Avg Opp</th>
+                    <th title="Tournament performance rating">TPR</th>
+                    <th title="Estimated rating change (K = ${tournament.kFactor})">±Elo</th>
+                    ${tournament.tieBreaks.map(key => `<th title="${TIE_BREAKS[key].label}">${TIE_BREAKS[key].short}</th>`).join('')}
                     ${isKnockout ? '<th>Status</th>' : ''}
                 </tr>
             </thead>
@@ -421,19 +1465,30 @@ function updateStandings(sortBy = 'score') {
     standings.forEach(player => {
         const games = player.wins + player.losses + player.draws;
         const isActive = !player.eliminated;
-        const statusCell = isKnockout ? `<td>${isActive ? '<span style="color: #28a745;">✅ Active</span>' : '<span style="color: #e74c3c;">❌ Eliminated</span>'}</td>` : '';
+        let status = isActive ? '<span style="color: #28a745;">✅ Active</span>' : '<span style="color: #e74c3c;">❌ Eliminated</span>';
+        if (isActive && pairingSystem.value === 'double-elimination' && player.losses > 0) {
+            status = '<span style="color: #856404;">⚠️ Losers bracket</span>';
+        }
+        const statusCell = isKnockout ? `<td>${status}</td>` : '';
         const rowStyle = isKnockout && !isActive ? 'style="opacity: 0.6; background-color: #f8d7da;"' : '';
+        const tags = [
+            player.withdrawnAfter !== null && player.withdrawnAfter !== undefined ? `withdrawn after round ${player.withdrawnAfter}` : '',
+            player.enteredRound > 1 ? `late entry, round ${player.enteredRound}` : ''
+        ].filter(Boolean).map(tag => ` <span class="player-tag">${tag}</span>`).join('');
         
         html += `
             <tr ${rowStyle}>
                 <td class="rank">${player.rank}</td>
-                <td><strong>${player.id}</strong></td>
+                <td><button type="button" class="player-link" data-player="${escapeXml(player.id)}">${escapeXml(player.id)}</button>${tags}</td>
+                ${isArena ? `<td class="score">${player.arenaScore}${player.onFire ? ' 🔥' : ''}</td>` : ''}
                 <td class="score">${player.score.toFixed(1)}</td>
                 <td>${player.rating}</td>
                 <td>${player.wins}</td>
                 <td>${player.losses}</td>
                 <td>${player.draws}</td>
                 <td>${games}</td>
+                ${eloCells(player.elo).map(value => `<td>${value}</td>`).join('')}
+                ${tournament.tieBreaks.map(key => `<td>${formatTieBreak(player.tieBreaks[key])}</td>`).join('')}
                 ${statusCell}
             </tr>
         `;
@@ -445,12 +1500,274 @@ function updateStandings(sortBy = 'score') {
     `;
 
     standingsContainer.innerHTML = html;
+    updateBracketView();
+    updateCrosstable();
+    updateSchedule();
+    if (detailPlayerId) showPlayerDetail(detailPlayerId);
+}
+
+// Round-robin crosstable (individual events; team round-robins have the team standings)
+function updateCrosstable() {
+    if (!crosstableSection) return;
+    const show = tournament.pairingSystem === 'round-robin' && tournament.rounds.length > 0 && tournament.teams.length === 0;
+    crosstableSection.style.display = show ? 'block' : 'none';
+    crosstableContainer.innerHTML = show ? crosstableHtml(buildCrosstable(tournament)) : '';
+}
+
+// Round-robin schedule: open or close the preview of every round
+function showSchedule(show) {
+    if (!scheduleSection) return;
+    scheduleSection.style.display = show ? 'block' : 'none';
+    if (show) updateSchedule();
+    else scheduleContainer.innerHTML = '';
+}
+
+// Pairing numbers of the schedule's entrants (players, or teams in a team event)
+function scheduleNumbers() {
+    const ids = tournament.teams.length > 0 ? tournament.teams.map(t => t.id) : tournament.getPairingNumbers();
+    return new Map(ids.map((id, i) => [id, i + 1]));
+}
+
+// Every round in advance, with the results of the games already played
+function updateSchedule() {
+    if (!scheduleSection || scheduleSection.style.display === 'none') return;
+    const schedule = tournament.getRoundRobinSchedule();
+    if (schedule.length === 0) {
+        scheduleContainer.innerHTML = '<p class="empty-message">Add at least 2 players to see the schedule.</p>';
+        return;
+    }
+    const numbers = scheduleNumbers();
+    const name = (id) => `<span class="schedule-number">${numbers.get(id)}</span> ${escapeXml(id)}`;
+    const results = new Map();
+    tournament.rounds.forEach(roundData => roundData.pairings.forEach(p => {
+        if (p.player2Id && p.resultRecorded) results.set(`${roundData.round}|${p.player1Id}|${p.player2Id}`, resultLabel(p.result));
+    }));
+
+    let html = `<p class="schedule-numbers">${[...numbers.keys()].map(id => `<span>${name(id)}</span>`).join('')}</p>`;
+    html += '<div class="schedule-grid">';
+    schedule.forEach(round => {
+        const rows = round.boards.map(b => `
+            <tr>
+                <td class="rank">${b.board}</td>
+                <td>${name(b.whiteId)}</td>
+                <td>${name(b.blackId)}</td>
+                <td>${results.get(`${round.round}|${b.whiteId}|${b.blackId}`) || ''}</td>
+            </tr>
+        `).join('');
+        const bye = round.byeId ? `<tr><td></td><td colspan="3">Bye: ${name(round.byeId)}</td></tr>` : '';
+        const cycle = tournament.roundRobinCycles === 2 ? ` <small>(cycle ${round.cycle})</small>` : '';
+        const current = round.round === tournament.currentRound ? ' schedule-current' : '';
+        html += `
+            <div class="schedule-round${current}">
+                <h3>Round ${round.round}${cycle}</h3>
+                <table class="standings-table">
+                    <thead><tr><th class="rank">Bd</th><th>White</th><th>Black</th><th>Result</th></tr></thead>
+                    <tbody>${rows}${bye}</tbody>
+                </table>
+            </div>
+        `;
+    });
+    html += '</div>';
+    scheduleContainer.innerHTML = html;
+}
+
+// Download every round of the schedule as CSV (round, board, pairing numbers and names)
+function downloadSchedule() {
+    const schedule = tournament.getRoundRobinSchedule();
+    const numbers = scheduleNumbers();
+    const rows = [['Round', 'Board', 'White No', 'White', 'Black No', 'Black'].join(',')];
+    schedule.forEach(round => {
+        round.boards.forEach(b => {
+            rows.push([round.round, b.board, numbers.get(b.whiteId), escapeCsv(b.whiteId), numbers.get(b.blackId), escapeCsv(b.blackId)].join(','));
+        });
+        if (round.byeId) rows.push([round.round, '', numbers.get(round.byeId), escapeCsv(round.byeId), '', 'BYE'].join(','));
+    });
+    downloadCsv(rows, `${tournamentFileStem()}_schedule.csv`);
+}
+
+function downloadCrosstableCsv() {
+    downloadCsv(crosstableCsvRows(buildCrosstable(tournament)), `${tournamentFileStem()}_crosstable.csv`);
+}
+
+function downloadCrosstableHtml() {
+    downloadFile(crosstablePage(buildCrosstable(tournament), tournament.name), `${tournamentFileStem()}_crosstable.html`, 'text/html');
+}
+
+// Player card: every round's opponent, colour, result, opponent rating and running score (null closes it)
+function showPlayerDetail(playerId) {
+    if (!playerSection) return;
+    const player = playerId ? tournament.getStandings('score').find(p => p.id === playerId) : null;
+    detailPlayerId = player ? player.id : null;
+    if (!player) {
+        playerSection.style.display = 'none';
+        return;
+    }
+
+    const points = (value) => (value === 0.5 ? '½' : formatTieBreak(value));
+    const [averageOpponent, performance, ratingChange] = eloCells(player.elo);
+    const rows = tournament.getPlayerHistory(player.id).map(row => `
+        <tr>
+            <td class="rank">${row.game ? `Game ${row.game}` : row.round}</td>
+            <td>${row.opponentId ? escapeXml(row.opponentId) : '–'}</td>
+            <td>${row.opponentRating ?? ''}</td>
+            <td>${row.color ? colorBadge(row.color) : ''}</td>
+            <td class="score">${row.points === null ? (row.adjourned ? resultSymbol(null) : '…') : row.opponentId ? resultSymbol(row.points, row.played) : points(row.points)}</td>
+            <td>${formatTieBreak(row.score)}</td>
+            <td>${escapeXml(row.note)}</td>
+        </tr>
+    `).join('');
+
+    playerDetailName.textContent = player.id;
+    playerDetail.innerHTML = `
+        <div class="player-card-summary">
+            <span><strong>Rank:</strong> ${player.rank}</span>
+            <span><strong>Score:</strong> ${player.score.toFixed(1)}</span>
+            <span><strong>Rating:</strong> ${player.rating}</span>
+            ${player.federation ? `<span><strong>Federation:</strong> ${escapeXml(player.federation)}</span>` : ''}
+            ${player.club ? `<span><strong>Club:</strong> ${escapeXml(player.club)}</span>` : ''}
+            ${averageOpponent !== '' ? `<span><strong>Avg opponent:</strong> ${averageOpponent}</span>
+            <span><strong>Performance:</strong> ${performance}</span>
+            <span><strong>Rating change:</strong> ${ratingChange} (K = ${tournament.kFactor})</span>` : ''}
+        </div>
+        <table class="standings-table">
+            <thead>
+                <tr>
+                    <th class="rank">${tournament.arena ? 'Game' : 'Round'}</th>
+                    <th>Opponent</th>
+                    <th>Opp Rating</th>
+                    <th>Colour</th>
+                    <th>Result</th>
+                    <th>Score</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows || '<tr><td colspan="7" class="empty-message">No rounds played yet.</td></tr>'}</tbody>
+        </table>
+        <p class="player-card-footer">${escapeXml(tournament.name)} – printed ${new Date().toLocaleString()}</p>
+    `;
+    playerSection.style.display = 'block';
+}
+
+// Click a name in the standings to open that player's card
+function showClickedPlayer(event) {
+    const target = event.target.closest('[data-player]');
+    if (target) showPlayerDetail(target.getAttribute('data-player'));
+}
+
+// Print only the player card
+function printPlayerCard() {
+    if (!detailPlayerId) return;
+    document.body.classList.add('print-player-card');
+    window.print();
+    document.body.classList.remove('print-player-card');
+}
+
+// Team table above the individual standings, ranked by match points or by game points
+function teamStandingsHtml() {
+    const sortBy = teamStandingsBy || tournament.teamScoring;
+    const toggle = Object.entries(TEAM_SCORING_LABELS).map(([key, label]) =>
+        `<button type="button" class="btn btn-small${key === sortBy ? ' btn-primary' : ''}" onclick="showTeamStandings('${key}')">By ${label.toLowerCase()}</button>`
+    ).join('');
+    const rows = tournament.getTeamStandings(sortBy).map(team => `
+        <tr>
+            <td class="rank">${team.rank}</td>
+            <td><strong>${escapeXml(team.id)}</strong></td>
+            <td class="score">${sortBy === TEAM_SCORING_GAME_POINTS ? formatTieBreak(team.gamePoints) : team.matchPoints}</td>
+            <td>${sortBy === TEAM_SCORING_GAME_POINTS ? team.matchPoints : formatTieBreak(team.gamePoints)}</td>
+            <td>${team.wins}</td>
+            <td>${team.draws}</td>
+            <td>${team.losses}</td>
+            <td>${team.rating}</td>
+        </tr>
+    `).join('');
+    const [first, second] = sortBy === TEAM_SCORING_GAME_POINTS ? ['Game Pts', 'Match Pts'] : ['Match Pts', 'Game Pts'];
+    return `
+        <h3>Teams</h3>
+        <div class="standings-controls">${toggle}</div>
+        <table class="standings-table">
+            <thead>
+                <tr>
+                    <th class="rank">Rank</th>
+                    <th>Team</th>
+                    <th>${first}</th>
+                    <th>${second}</th>
+                    <th>Won</th>
+                    <th>Drawn</th>
+                    <th>Lost</th>
+                    <th title="Average rating of the regular boards">Avg Rating</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <h3>Individual</h3>
+    `;
+}
+
+function showTeamStandings(sortBy) {
+    teamStandingsBy = sortBy;
+    updateStandings();
+}
+
+// Draw the knockout / double elimination bracket (hidden for other systems)
+function updateBracketView() {
+    if (!bracketSection) return;
+    const show = Tournament.isElimination(tournament.pairingSystem) && tournament.rounds.length > 0;
+    bracketSection.style.display = show ? 'block' : 'none';
+    if (!show) {
+        bracketContainer.innerHTML = '';
+        return;
+    }
+
+    const selected = bracketHighlight.value;
+    const names = [...tournament.players].map(p => p.id).sort((a, b) => a.localeCompare(b));
+    bracketHighlight.innerHTML = '<option value="">Highlight a player…</option>'
+        + names.map(id => `<option value="${escapeXml(id)}">${escapeXml(id)}</option>`).join('');
+    bracketHighlight.value = names.includes(selected) ? selected : '';
+
+    const { svg } = renderBracketSvg(tournament, { highlight: bracketHighlight.value, scale: parseFloat(bracketZoom.value) || 1 });
+    bracketContainer.innerHTML = svg;
+}
+
+// Click a name in the bracket to highlight that player's path (click again to clear)
+function highlightClickedPlayer(event) {
+    const target = event.target.closest('[data-player]');
+    if (!target) return;
+    const id = target.getAttribute('data-player');
+    bracketHighlight.value = bracketHighlight.value === id ? '' : id;
+    updateBracketView();
+}
+
+function bracketFileStem() {
+    return `${tournamentFileStem()}_bracket`;
+}
+
+// Full-size bracket as SVG (prints sharply at any size)
+function downloadBracketSvg() {
+    const { svg } = renderBracketSvg(tournament, { highlight: bracketHighlight.value });
+    downloadFile(svg, `${bracketFileStem()}.svg`, 'image/svg+xml');
+}
+
+// Bracket as PNG: the SVG drawn onto a canvas (kept under the browsers' canvas size limit)
+function downloadBracketPng() {
+    const { svg, width, height } = renderBracketSvg(tournament, { highlight: bracketHighlight.value });
+    const scale = Math.min(2, 16000 / Math.max(width, height));
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => downloadFile(blob, `${bracketFileStem()}.png`, 'image/png'), 'image/png');
+    };
+    image.src = url;
 }
 
 // Download shortlist as Excel/CSV (player name + rating) for dashboard manager
 function downloadShortlist() {
     let standings = tournament.getStandings('score');
-    const isKnockout = pairingSystem.value === 'knockout';
+    const isKnockout = isKnockoutView(tournament.currentRound);
     // Knockout: export only qualifying winners (active players), not eliminated
     if (isKnockout) {
         standings = standings.filter(p => !p.eliminated);
@@ -462,14 +1779,9 @@ function downloadShortlist() {
         }
         return;
     }
-    const escapeCsv = (val) => {
-        const s = String(val ?? '');
-        if (s.includes(',') || s.includes('"') || s.includes('\n')) {
-            return '"' + s.replace(/"/g, '""') + '"';
-        }
-        return s;
-    };
-    const headers = ['Rank', 'Player Name', 'Rating', 'Score', 'Wins', 'Losses', 'Draws', 'Games'];
+    const headers = ['Rank', 'Player Name', 'Rating', 'Score', 'Wins', 'Losses', 'Draws', 'Games', 'Avg Opponent', 'Performance', 'Rating Change'];
+    tournament.tieBreaks.forEach(key => headers.push(TIE_BREAKS[key].label));
+    if (!isKnockout) headers.push('Colours');
     if (isKnockout) headers.push('Status');
     const rows = [headers.join(',')];
     standings.forEach((p, index) => {
@@ -483,17 +1795,57 @@ function downloadShortlist() {
             p.wins,
             p.losses,
             p.draws,
-            games
+            games,
+            ...eloCells(p.elo)
         ];
+        tournament.tieBreaks.forEach(key => row.push(formatTieBreak(p.tieBreaks[key])));
+        if (!isKnockout) row.push((p.colors || []).join(''));
         if (isKnockout) row.push('Active');
         rows.push(row.join(','));
     });
-    const csv = rows.join('\r\n');
-    const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' });
+    downloadCsv(rows, `chess_tournament_shortlist_${new Date().toISOString().slice(0, 10)}.csv`);
+}
+
+// Download the current round's pairings as CSV (board, White, Black, result)
+function downloadPairings() {
+    const viewedRound = roundSelect && roundSelect.value ? parseInt(roundSelect.value, 10) : tournament.currentRound;
+    const roundData = tournament.rounds.find(r => r.round === viewedRound);
+    if (!roundData) return;
+    const isKnockout = tournament.isKnockoutRound(roundData.round);
+    const headers = isKnockout ? ['Board', 'Player 1', 'Player 2', 'Winner'] : ['Board', 'White', 'Black', 'Result'];
+    const rows = [headers.join(',')];
+    roundData.pairings.forEach((p, index) => {
+        const outcome = isKnockout ? (p.winnerId || '') : (p.result || '');
+        rows.push([index + 1, escapeCsv(p.player1Id), escapeCsv(p.player2Id || 'BYE'), escapeCsv(outcome)].join(','));
+    });
+    downloadCsv(rows, `chess_tournament_round_${roundData.round}_pairings.csv`);
+}
+
+// Quote a value for a string argument of an inline onclick="..." handler
+function escapeJsArg(value) {
+    return escapeXml(String(value ?? '').replace(/\\/g, '\\\\').replace(/'/g, "\\'"));
+}
+
+// Quote a CSV field when needed
+function escapeCsv(val) {
+    const s = String(val ?? '');
+    if (s.includes(',') || s.includes('"') || s.includes('\n')) {
+        return '"' + s.replace(/"/g, '""') + '"';
+    }
+    return s;
+}
+
+// Save CSV rows as a file (BOM so Excel reads UTF-8)
+function downloadCsv(rows, filename) {
+    downloadFile('\ufeff' + rows.join('\r\n'), filename, 'text/csv;charset=utf-8');
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `chess_tournament_shortlist_${new Date().toISOString().slice(0, 10)}.csv`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
 }
@@ -506,13 +1858,450 @@ function updatePlayerCount() {
         countElement.textContent = count;
         console.log(`Player count updated: ${count} players`);
     }
+    updateRoundsHint();
+}
+
+// Read the "Number of Rounds" input into the tournament (Swiss)
+function applyPlannedRounds() {
+    try {
+        tournament.setPlannedRounds(parseInt(roundsCount.value, 10));
+    } catch (error) {
+        roundsCount.value = tournament.plannedRounds;
+        if (roundsHint) roundsHint.textContent = `⚠️ ${error.message}`;
+        return false;
+    }
+    updateRoundsHint();
+    autosave();
+    return true;
+}
+
+// Show the options of the chosen system (the bracket reset is fixed once the bracket is drawn)
+function updateBracketOptions() {
+    const isArena = pairingSystem.value === 'arena';
+    if (avoidanceGroup) {
+        avoidanceGroup.style.display = pairingSystem.value === 'swiss' ? 'flex' : 'none';
+    }
+    if (byeSettingsGroup) {
+        byeSettingsGroup.style.display = pairingSystem.value === 'swiss' || pairingSystem.value === 'round-robin' ? 'flex' : 'none';
+    }
+    if (roundRobinGroup) {
+        roundRobinGroup.style.display = pairingSystem.value === 'round-robin' ? 'flex' : 'none';
+        updateRoundRobinHint();
+    }
+    if (scheduleSection && pairingSystem.value !== 'round-robin') showSchedule(false);
+    const playoffStarted = Boolean(tournament.playoff && tournament.playoff.startRound);
+    const playoffSystem = tournament.playoff ? tournament.playoff.system : null;
+    if (playoffGroup) {
+        const qualifying = pairingSystem.value === 'swiss' || pairingSystem.value === 'round-robin';
+        playoffGroup.style.display = qualifying || playoffStarted ? 'flex' : 'none';
+        updatePlayoffHint();
+    }
+    if (arenaSettingsGroup) {
+        arenaSettingsGroup.style.display = isArena ? 'flex' : 'none';
+        updateArenaHint();
+    }
+    if (isArena) {
+        generateRoundBtn.textContent = tournament.arena ? 'Pair Waiting Players' : 'Start Arena';
+    } else {
+        generateRoundBtn.textContent = 'Generate Next Round';
+    }
+    if (knockoutFormatGroup) {
+        knockoutFormatGroup.style.display = Tournament.isElimination(pairingSystem.value) || playoffSystem ? 'flex' : 'none';
+    }
+    if (!grandFinalResetGroup) return;
+    grandFinalResetGroup.style.display = pairingSystem.value === 'double-elimination' || playoffSystem === 'double-elimination' ? 'flex' : 'none';
+    grandFinalResetInput.disabled = Boolean(tournament.bracket);
+}
+
+// Read the knockout match format inputs (used for matches paired from now on)
+function applyKnockoutFormat() {
+    try {
+        tournament.setKnockoutFormat({
+            games: parseInt(formatInputs.games.value, 10),
+            rapidGames: parseInt(formatInputs.rapidGames.value, 10) || 0,
+            blitzGames: parseInt(formatInputs.blitzGames.value, 10) || 0,
+            armageddon: formatInputs.armageddon.checked
+        });
+    } catch (error) {
+        if (formatHint) formatHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    updateFormatHint();
+    autosave();
+}
+
+function updateFormatHint() {
+    if (!formatHint) return;
+    const f = tournament.knockoutFormat;
+    if (isSingleGameFormat(f)) {
+        formatHint.textContent = 'One game, the winner is marked directly.';
+        return;
+    }
+    const tiebreaks = [
+        f.rapidGames ? `${f.rapidGames} rapid` : '',
+        f.blitzGames ? `${f.blitzGames} blitz` : '',
+        f.armageddon ? 'Armageddon' : ''
+    ].filter(Boolean);
+    formatHint.textContent = `${f.games} game${f.games > 1 ? 's' : ''}${tiebreaks.length ? `, then ${tiebreaks.join(', then ')} if level` : ''}. Applies to matches paired from now on.`;
+}
+
+// Show the tournament's avoidance rules in the "Keep Apart" inputs
+function renderAvoidanceRules() {
+    if (!avoidanceGroup) return;
+    avoidanceGroup.querySelectorAll('[data-avoid]').forEach(input => {
+        const rule = tournament.avoidanceRules.find(r => r.attribute === input.dataset.avoid);
+        if (input.dataset.avoidField === 'mode') {
+            input.value = rule ? rule.mode : '';
+        } else {
+            input.value = rule && rule.rounds !== null ? rule.rounds : '';
+        }
+    });
+    updateAvoidanceHint();
+}
+
+// Read the "Keep Apart" inputs (used from the next Swiss round on)
+function applyAvoidanceRules() {
+    const rules = Object.keys(AVOIDANCE_ATTRIBUTES)
+        .map(attribute => {
+            const field = (name) => avoidanceGroup.querySelector(`[data-avoid="${attribute}"][data-avoid-field="${name}"]`);
+            const mode = field('mode').value;
+            return mode ? { attribute, mode, rounds: field('rounds').value ? parseInt(field('rounds').value, 10) : null } : null;
+        })
+        .filter(Boolean);
+    try {
+        tournament.setAvoidanceRules(rules);
+    } catch (error) {
+        if (avoidanceHint) avoidanceHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    updateAvoidanceHint();
+    autosave();
+}
+
+function updateAvoidanceHint() {
+    if (!avoidanceHint) return;
+    if (tournament.avoidanceRules.length === 0) {
+        avoidanceHint.textContent = 'No restrictions: anyone can meet anyone.';
+        return;
+    }
+    const counts = tournament.avoidanceRules.map(rule =>
+        `${tournament.players.filter(p => p[rule.attribute]).length} players have a ${rule.attribute}`
+    );
+    avoidanceHint.textContent = `${counts.join(', ')}. Rules the pairing has to break are listed with the round.`;
+}
+
+// Fill the player status panel: the player list, the next round, and everyone's current status
+function renderPlayerStatus() {
+    if (lateEntryGroup) {
+        lateEntryGroup.style.display = tournament.currentRound > 0 && tournament.pairingSystem === 'swiss' && !tournament.arena ? 'flex' : 'none';
+    }
+    if (!statusPlayer) return;
+    const selected = statusPlayer.value;
+    statusPlayer.innerHTML = tournament.players.length === 0
+        ? '<option value="">No players</option>'
+        : tournament.players.map(p => `<option value="${escapeXml(p.id)}">${escapeXml(p.id)}${p.withdrawnAfter !== null ? ' (withdrawn)' : ''}</option>`).join('');
+    if (tournament.players.some(p => p.id === selected)) statusPlayer.value = selected;
+
+    const nextRound = tournament.currentRound + 1;
+    statusRound.min = nextRound;
+    if (!(parseInt(statusRound.value, 10) >= nextRound)) statusRound.value = nextRound;
+
+    const lines = [
+        ...tournament.players
+            .filter(p => p.withdrawnAfter !== null)
+            .map(p => `🚪 ${p.id} – withdrawn after round ${p.withdrawnAfter}`),
+        ...tournament.players
+            .filter(p => p.enteredRound > 1)
+            .map(p => `➕ ${p.id} – late entry from round ${p.enteredRound}`),
+        ...tournament.byeRequests
+            .map(r => `⏸ ${r.playerId} – ${BYE_LABELS[r.byeType].toLowerCase()}, round ${r.round}`)
+    ];
+    if (statusList) {
+        statusList.innerHTML = lines.length === 0
+            ? '<p class="empty-message">Everyone is playing every round.</p>'
+            : lines.map(line => `<div>${escapeXml(line)}</div>`).join('');
+    }
+    if (statusHint) {
+        statusHint.textContent = Tournament.isElimination(tournament.pairingSystem)
+            ? 'Knockout: a player who withdraws or is absent loses their next match by walkover.'
+            : 'Byes and absences apply to rounds not paired yet; a withdrawn player is not paired again.';
+    }
+}
+
+// Withdraw / reinstate the chosen player, or record a bye or absence for a coming round
+function applyPlayerStatus() {
+    const playerId = statusPlayer.value;
+    if (!playerId) return;
+    const round = parseInt(statusRound.value, 10);
+    try {
+        switch (statusAction.value) {
+            case 'withdraw':
+                tournament.withdrawPlayer(playerId);
+                break;
+            case 'reinstate':
+                if (!tournament.reinstatePlayer(playerId)) throw new Error(`${playerId} has not withdrawn`);
+                break;
+            case 'cancel':
+                if (!tournament.cancelByeRequest(playerId, round)) throw new Error(`${playerId} has no bye or absence in round ${round}`);
+                break;
+            default:
+                tournament.requestBye(playerId, round, statusAction.value);
+        }
+    } catch (error) {
+        if (statusHint) statusHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    renderPlayerStatus();
+    updateStandings();
+    if (tournament.arena) showCurrentRound();
+    autosave();
+}
+
+// Show the saved teams in the team box
+function renderTeams() {
+    if (!teamInput) return;
+    teamInput.value = tournament.teams.map(team => `${team.id}: ${team.players.join(', ')}`).join('\n');
+    teamBoardsInput.value = tournament.teamBoards;
+    teamBoardsInput.disabled = tournament.currentRound > 0;
+    teamScoringSelect.value = tournament.teamScoring;
+    updateTeamHint();
+}
+
+function updateTeamHint() {
+    if (!teamHint) return;
+    const { teams, teamBoards } = tournament;
+    if (teams.length === 0) {
+        teamHint.textContent = 'Individual tournament (no teams saved).';
+        return;
+    }
+    const short = teams.filter(t => t.players.length < teamBoards).map(t => t.id);
+    teamHint.textContent = short.length > 0
+        ? `⚠️ ${teams.length} teams, but ${short.join(', ')} ${short.length > 1 ? 'have' : 'has'} fewer than ${teamBoards} players.`
+        : `${teams.length} teams, ${teamBoards} boards per match.`;
+}
+
+function saveTeams() {
+    try {
+        tournament.setTeams(parseTeamLines(teamInput.value));
+    } catch (error) {
+        if (teamHint) teamHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    renderTeams();
+    updateRoundsHint();
+    updateStandings();
+    autosave();
+}
+
+// Suggest one team per club (shown for checking, saved with "Save Teams")
+function fillTeamsFromClubs() {
+    const teams = tournament.suggestTeamsFromClubs();
+    if (teams.length === 0) {
+        if (teamHint) teamHint.textContent = '⚠️ No player has a club. Import players with a Club column first.';
+        return;
+    }
+    teamInput.value = teams.map(team => `${team.id}: ${team.players.join(', ')}`).join('\n');
+    if (teamHint) teamHint.textContent = `${teams.length} clubs found. Check the board order, then click "Save Teams".`;
+}
+
+function applyTeamBoards() {
+    try {
+        tournament.setTeamBoards(parseInt(teamBoardsInput.value, 10));
+    } catch (error) {
+        teamBoardsInput.value = tournament.teamBoards;
+        if (teamHint) teamHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    updateTeamHint();
+    updateStandings();
+    autosave();
+}
+
+function applyTeamScoring() {
+    tournament.setTeamScoring(teamScoringSelect.value);
+    teamStandingsBy = null;
+    updateStandings();
+    autosave();
+}
+
+// Read the arena duration and scoring rules (scores are recalculated, a running clock moves its end)
+function applyArenaSettings() {
+    try {
+        tournament.setArenaSettings({
+            durationMinutes: parseInt(arenaInputs.durationMinutes.value, 10),
+            streaks: arenaInputs.streaks.checked,
+            berserk: arenaInputs.berserk.checked
+        });
+    } catch (error) {
+        arenaInputs.durationMinutes.value = tournament.arenaSettings.durationMinutes;
+        if (arenaHint) arenaHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    updateArenaHint();
+    updateRoundsHint();
+    updateStandings();
+    if (tournament.arena) displayArena();
+    autosave();
+}
+
+// Read the bye value and tie-break setting (byes already given are rescored)
+function applyByeSettings() {
+    try {
+        tournament.setByeSettings({
+            points: parseFloat(byeInputs.points.value),
+            countsForTieBreaks: byeInputs.countsForTieBreaks.checked
+        });
+    } catch (error) {
+        byeInputs.points.value = String(tournament.byeSettings.points);
+        if (byeHint) byeHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    updateByeHint();
+    updateStandings();
+    if (tournament.currentRound > 0) showCurrentRound();
+    autosave();
+}
+
+function updateByeHint() {
+    if (!byeHint) return;
+    const { points, countsForTieBreaks } = tournament.byeSettings;
+    byeHint.textContent = `Scored as soon as it is paired: ${formatTieBreak(points)} point${points === 1 ? '' : 's'}${countsForTieBreaks ? '' : ', left out of the tie-breaks'}. Goes to the lowest score group, never twice to the same player.`;
+}
+
+// Single or double round-robin, and how the pairing numbers are assigned (fixed once round 1 is paired)
+function applyRoundRobinSettings() {
+    try {
+        tournament.setRoundRobinCycles(parseInt(roundRobinInputs.cycles.value, 10));
+        if (roundRobinInputs.numbers.value !== tournament.pairingNumberMethod) {
+            tournament.setPairingNumberMethod(roundRobinInputs.numbers.value);
+        }
+    } catch (error) {
+        roundRobinInputs.cycles.value = String(tournament.roundRobinCycles);
+        roundRobinInputs.numbers.value = tournament.pairingNumberMethod;
+        if (roundRobinHint) roundRobinHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    updateRoundRobinHint();
+    updateRoundsHint();
+    updateSchedule();
+    autosave();
+}
+
+function redrawPairingNumbers() {
+    try {
+        tournament.redrawPairingNumbers();
+    } catch (error) {
+        if (roundRobinHint) roundRobinHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    updateRoundRobinHint();
+    updateSchedule();
+    autosave();
+}
+
+function updateRoundRobinHint() {
+    if (!roundRobinHint) return;
+    const started = tournament.pairingSystem === 'round-robin' && tournament.currentRound > 0;
+    const byRating = tournament.pairingNumberMethod === PAIRING_NUMBERS_RATING;
+    roundRobinInputs.numbers.disabled = started;
+    redrawNumbersBtn.disabled = started || byRating;
+    if (started) {
+        roundRobinHint.textContent = 'Pairing numbers are fixed for the rest of the tournament.';
+    } else if (tournament.teams.length > 0) {
+        roundRobinHint.textContent = 'Teams are numbered in the order they are listed.';
+    } else {
+        roundRobinHint.textContent = `Pairing numbers ${byRating ? 'follow the ratings (highest is 1)' : 'are drawn at random'}; they are fixed when round 1 is paired.`;
+    }
+}
+
+// Second stage: a knockout playoff for the top of the qualifying standings
+function applyPlayoff() {
+    try {
+        tournament.setPlayoff(playoffInputs.system.value
+            ? { system: playoffInputs.system.value, qualifiers: parseInt(playoffInputs.qualifiers.value, 10) }
+            : null);
+    } catch (error) {
+        playoffInputs.system.value = tournament.playoff ? tournament.playoff.system : '';
+        if (playoffHint) playoffHint.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+    updateBracketOptions();
+    updateRoundsHint();
+    autosave();
+}
+
+function updatePlayoffHint() {
+    if (!playoffHint) return;
+    const { playoff } = tournament;
+    const started = Boolean(playoff && playoff.startRound);
+    playoffInputs.system.disabled = started;
+    playoffInputs.qualifiers.disabled = started || !playoff;
+    if (!playoff) {
+        playoffHint.textContent = 'The tournament ends after the last round.';
+    } else if (started) {
+        playoffHint.textContent = `Playoff from round ${playoff.startRound}: ${tournament.bracket.seeds.length} players seeded from the ${playoff.qualifying === 'swiss' ? 'Swiss' : 'round-robin'} standings.`;
+    } else {
+        const bracket = playoff.system === 'knockout' ? 'knockout' : 'double elimination';
+        playoffHint.textContent = `After the last round the top ${playoff.qualifiers} of the standings go into a ${bracket}, seeded by place (the top qualifier meets the lowest).`;
+    }
+}
+
+function updateArenaHint() {
+    if (!arenaHint) return;
+    const { arena } = tournament;
+    arenaHint.textContent = arena
+        ? `Started ${new Date(arena.startedAt).toLocaleTimeString()}, ends ${new Date(arena.endsAt).toLocaleTimeString()}.`
+        : 'The clock starts when the arena is started.';
+}
+
+function applyGrandFinalReset() {
+    tournament.grandFinalReset = grandFinalResetInput.checked;
+    updateRoundsHint();
+    autosave();
+}
+
+// Fill the rounds input with the suggested Swiss round count
+function useSuggestedRounds() {
+    roundsCount.value = Tournament.suggestRounds(tournament.players.length);
+    applyPlannedRounds();
+}
+
+// Explain how many rounds the chosen system will play
+function updateRoundsHint() {
+    if (!roundsHint) return;
+    const n = tournament.players.length;
+    const system = pairingSystem.value;
+    const total = tournament.getTotalRounds(system);
+    const { playoff } = tournament;
+    if (playoff && playoff.startRound && Tournament.isElimination(system)) {
+        roundsHint.textContent = `Playoff from round ${playoff.startRound} for the ${tournament.bracket.seeds.length} qualifiers: ${total - playoff.startRound + 1} rounds (this setting is not used).`;
+    } else if (system === 'round-robin') {
+        const entrants = tournament.teams.length > 0 ? `${tournament.teams.length} teams` : `${n} players`;
+        const cycles = tournament.roundRobinCycles === 2 ? ', each opponent twice' : '';
+        roundsHint.textContent = `Round-Robin plays ${total} rounds for ${entrants}${cycles} (this setting is not used).`;
+    } else if (system === 'scheveningen') {
+        roundsHint.textContent = `Scheveningen plays ${total} rounds: each of the ${total} players on a team meets every player of the other team (this setting is not used).`;
+    } else if (system === 'knockout') {
+        roundsHint.textContent = `Knockout needs ${total} rounds for ${n} players (this setting is not used).`;
+    } else if (system === 'arena') {
+        roundsHint.textContent = `Arena has no rounds: games are paired continuously for ${tournament.arenaSettings.durationMinutes} minutes (this setting is not used).`;
+    } else if (system === 'double-elimination') {
+        roundsHint.textContent = `Double elimination needs ${total} rounds for ${n} players, plus one if the final is reset (this setting is not used).`;
+    } else {
+        roundsHint.textContent = `Suggested for ${n} players: ${Tournament.suggestRounds(n)} rounds (log2 of the field, for a clear winner).`;
+    }
 }
 
 // Reset tournament but keep players
 function resetTournament() {
     tournament.resetTournament();
+    if (tournament.playoff) pairingSystem.value = tournament.pairingSystem; // back to the qualifying stage
+    updateBracketOptions();
+    renderPlayerStatus();
+    if (teamBoardsInput) teamBoardsInput.disabled = false;
     updatePlayerCount();
     updateStandings();
+    autosave();
     roundSection.style.display = 'none';
     pairingsContainer.innerHTML = '';
     
@@ -530,8 +2319,7 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('DOM loaded, initializing...');
     console.log('Tournament object:', tournament);
     console.log('Initial player count:', tournament.players.length);
-    updatePlayerCount();
-    updateStandings();
+    restoreActiveTournament();
 });
 
 // Also run immediately if DOM is already loaded
@@ -542,6 +2330,5 @@ if (document.readyState === 'loading') {
     console.log('DOM already loaded, initializing...');
     console.log('Tournament object:', tournament);
     console.log('Initial player count:', tournament.players.length);
-    updatePlayerCount();
-    updateStandings();
+    restoreActiveTournament();
 }
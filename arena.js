@@ -0,0 +1,99 @@
+/**
+ * Arena Mode
+ * No rounds: a player who finishes a game goes back to the waiting pool and is paired at once
+ * with the nearest available opponent by arena score and rating, avoiding recent opponents.
+ * Scoring: win 2, draw 1, loss 0. With streaks, two wins in a row put a player "on fire" and
+ * every game after that scores double until they fail to win. With berserk, a player who halves
+ * their own clock gets an extra point for winning.
+ */
+
+const ARENA_WIN_POINTS = 2;
+const ARENA_DRAW_POINTS = 1;
+const ARENA_BERSERK_BONUS = 1;
+const ARENA_RECENT_OPPONENTS = 2; // how many of a player's last opponents they are not paired with again
+
+const DEFAULT_ARENA_SETTINGS = { durationMinutes: 60, berserk: true, streaks: true };
+
+class ArenaPairingEngine {
+    /**
+     * @param {Object} options
+     * @param {Map<string, Array<string>>} options.recentOpponents - Player ID -> last opponents, most recent first
+     * @param {boolean} options.othersPlaying - true while other games are running (their players may soon be free)
+     */
+    constructor({ recentOpponents = new Map(), othersPlaying = false } = {}) {
+        this.recentOpponents = recentOpponents;
+        this.othersPlaying = othersPlaying;
+    }
+
+    isRecent(a, b) {
+        return (this.recentOpponents.get(a.id) || []).slice(0, ARENA_RECENT_OPPONENTS).includes(b.id);
+    }
+
+    /**
+     * Distance between two waiting players: arena score first, then rating
+     */
+    distance(a, b) {
+        return Math.abs((a.arenaScore || 0) - (b.arenaScore || 0)) * 1000 + Math.abs(a.rating - b.rating);
+    }
+
+    /**
+     * Pair the waiting pool
+     * Players who have waited longest choose first. A recent opponent is only accepted when no one
+     * else is free and no game is running that could free someone.
+     * @param {Array<{player: Object, waitingSince: number}>} waiting
+     * @returns {Array<[Object, Object]>} Pairs of players (the longer waiter first)
+     */
+    pair(waiting) {
+        const queue = [...waiting].sort((a, b) => a.waitingSince - b.waitingSince || b.player.rating - a.player.rating);
+        const free = new Set(queue.map(w => w.player));
+        const pairs = [];
+
+        queue.forEach(({ player }) => {
+            if (!free.has(player)) return;
+            const others = [...free].filter(p => p !== player);
+            const fresh = others.filter(p => !this.isRecent(player, p) && !this.isRecent(p, player));
+            const candidates = fresh.length > 0 || this.othersPlaying ? fresh : others;
+            if (candidates.length === 0) return;
+
+            const opponent = candidates.reduce((best, p) => (this.distance(player, p) < this.distance(player, best) ? p : best));
+            free.delete(player);
+            free.delete(opponent);
+            pairs.push([player, opponent]);
+        });
+        return pairs;
+    }
+}
+
+/**
+ * Arena points for every player from the finished games, in the order they finished
+ * @param {Array} games - Arena pairings ({ player1Id, player2Id, result, resultRecorded, finishedAt, berserk })
+ * @param {Object} settings - { berserk, streaks }
+ * @returns {Map<string, {score: number, onFire: boolean, sheet: Array<number>}>} sheet: points per game
+ */
+function computeArenaScores(games, settings) {
+    const stats = new Map();
+    const get = (id) => {
+        if (!stats.has(id)) stats.set(id, { score: 0, onFire: false, wins: 0, sheet: [] });
+        return stats.get(id);
+    };
+
+    games
+        .filter(g => g.resultRecorded && g.player2Id)
+        .sort((a, b) => a.finishedAt - b.finishedAt)
+        .forEach(game => {
+            const [points1, points2] = game.result.split('-').map(Number);
+            [[game.player1Id, points1, points2], [game.player2Id, points2, points1]].forEach(([id, own, other]) => {
+                const entry = get(id);
+                let points = own > other ? ARENA_WIN_POINTS : own === other ? ARENA_DRAW_POINTS : 0;
+                if (settings.streaks && entry.onFire) points *= 2;
+                if (settings.berserk && own > other && (game.berserk || []).includes(id)) points += ARENA_BERSERK_BONUS;
+                entry.score += points;
+                entry.sheet.push(points);
+
+                // Two wins in a row light the fire; anything but a win puts it out
+                entry.wins = own > other ? entry.wins + 1 : 0;
+                entry.onFire = settings.streaks && entry.wins >= 2;
+            });
+        });
+    return stats;
+}
@@ -0,0 +1,218 @@
+/**
+ * Bracket View
+ * Draws knockout and double elimination brackets as a standalone SVG (inline styles only, so the
+ * same markup is shown on the page and exported for printing). Positions come from the fixed
+ * bracket tree, results from the tournament rounds.
+ */
+
+const BRACKET_VIEW = {
+    slotHeight: 22,
+    matchWidth: 190,
+    columnGap: 36,
+    matchGap: 14,
+    padding: 24,
+    headerHeight: 28,
+    sectionGap: 48
+};
+
+const BRACKET_COLORS = {
+    line: '#b0b8c1',
+    box: '#ffffff',
+    border: '#2c3e50',
+    text: '#2c3e50',
+    muted: '#95a5a6',
+    winner: '#27ae60',
+    highlight: '#e74c3c',
+    highlightFill: '#fdecea'
+};
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Vertical centre of match `index` (1-based) in a column where each match spans `span` first-round slots
+ */
+function bracketMatchCenter(top, index, span) {
+    const unit = BRACKET_VIEW.slotHeight * 2 + BRACKET_VIEW.matchGap;
+    return top + ((index - 1) * span + (span - 1) / 2) * unit + BRACKET_VIEW.slotHeight;
+}
+
+/**
+ * Place every match of a fixed bracket
+ * @returns {{boxes: Array<{match, x, y, header}>, headers: Array, width: number, height: number}}
+ */
+function layoutFixedBracket(tournament) {
+    const state = tournament.getBracketState();
+    const size = bracketSize(tournament.bracket.seeds.length);
+    const levels = Math.log2(size);
+    const unit = BRACKET_VIEW.slotHeight * 2 + BRACKET_VIEW.matchGap;
+    const column = BRACKET_VIEW.matchWidth + BRACKET_VIEW.columnGap;
+    const wbTop = BRACKET_VIEW.padding + BRACKET_VIEW.headerHeight;
+    const wbHeight = (size / 2) * unit;
+    const lbTop = wbTop + wbHeight + BRACKET_VIEW.sectionGap + BRACKET_VIEW.headerHeight;
+    const boxes = [];
+    const headers = new Map(); // "x,y" -> label
+
+    state.matches.forEach(match => {
+        if (match.status === MATCH_VOID) return;
+        const [, roundText, indexText] = match.id.match(/^[WL](\d+)-(\d+)$/) || [];
+        let x;
+        let y;
+        let headerY;
+        if (match.bracket === BRACKET_WINNERS) {
+            const r = Number(roundText);
+            x = BRACKET_VIEW.padding + (r - 1) * column;
+            y = bracketMatchCenter(wbTop, Number(indexText), 2 ** (r - 1));
+            headerY = wbTop - 10;
+        } else if (match.bracket === BRACKET_LOSERS) {
+            const q = Number(roundText);
+            x = BRACKET_VIEW.padding + (q - 1) * column;
+            y = bracketMatchCenter(lbTop, Number(indexText), 2 ** (Math.ceil(q / 2) - 1));
+            headerY = lbTop - 10;
+        } else {
+            // Grand final (and reset) to the right of both brackets, level with the winners' final
+            const lastColumn = Math.max(levels, 2 * (levels - 1));
+            x = BRACKET_VIEW.padding + (lastColumn + (match.bracket === BRACKET_RESET ? 1 : 0)) * column;
+            y = bracketMatchCenter(wbTop, 1, size / 2);
+            headerY = wbTop - 10;
+        }
+        boxes.push({ match, x, y });
+        headers.set(`${x},${headerY}`, tournament.getMatchLabel(match));
+    });
+
+    const hasLosers = boxes.some(b => b.match.bracket === BRACKET_LOSERS);
+    const width = Math.max(...boxes.map(b => b.x)) + BRACKET_VIEW.matchWidth + BRACKET_VIEW.padding;
+    const height = (hasLosers ? lbTop + (size / 4) * unit : wbTop + wbHeight) + BRACKET_VIEW.padding;
+    return {
+        boxes,
+        headers: [...headers].map(([key, label]) => {
+            const [x, y] = key.split(',').map(Number);
+            return { x, y, label };
+        }),
+        width,
+        height
+    };
+}
+
+/**
+ * Knockout rounds saved without a bracket tree: one column per round, matches stacked
+ */
+function layoutRoundColumns(tournament) {
+    const unit = BRACKET_VIEW.slotHeight * 2 + BRACKET_VIEW.matchGap;
+    const column = BRACKET_VIEW.matchWidth + BRACKET_VIEW.columnGap;
+    const top = BRACKET_VIEW.padding + BRACKET_VIEW.headerHeight;
+    const boxes = [];
+    const headers = [];
+    let tallest = 0;
+
+    tournament.rounds.forEach((roundData, c) => {
+        const x = BRACKET_VIEW.padding + c * column;
+        headers.push({ x, y: top - 10, label: `Round ${roundData.round}` });
+        roundData.pairings.forEach((p, i) => {
+            const players = [p.player1Id, p.player2Id];
+            const winner = p.resultRecorded ? p.winnerId : undefined;
+            const match = {
+                id: `R${roundData.round}-${i + 1}`,
+                slots: [{}, {}],
+                players,
+                status: p.bye ? MATCH_BYE : (p.resultRecorded ? MATCH_PLAYED : MATCH_READY),
+                winner,
+                loser: winner === undefined ? undefined : players.find(id => id && id !== winner) || null
+            };
+            boxes.push({ match, x, y: top + i * unit + BRACKET_VIEW.slotHeight });
+        });
+        tallest = Math.max(tallest, roundData.pairings.length);
+    });
+
+    return {
+        boxes,
+        headers,
+        width: BRACKET_VIEW.padding * 2 + Math.max(1, tournament.rounds.length) * column - BRACKET_VIEW.columnGap,
+        height: top + tallest * unit + BRACKET_VIEW.padding
+    };
+}
+
+/**
+ * Render the bracket as SVG
+ * @param {Tournament} tournament
+ * @param {Object} options - { highlight: player ID whose path is drawn in red, scale: 1 = full size }
+ * @returns {{svg: string, width: number, height: number}} Width / height at full size
+ */
+function renderBracketSvg(tournament, options = {}) {
+    const highlight = options.highlight || null;
+    const scale = options.scale || 1;
+    const layout = tournament.bracket ? layoutFixedBracket(tournament) : layoutRoundColumns(tournament);
+    const seedOf = new Map((tournament.bracket ? tournament.bracket.seeds : []).map((id, i) => [id, i + 1]));
+    const boxById = new Map(layout.boxes.map(b => [b.match.id, b]));
+    const h = BRACKET_VIEW.slotHeight;
+    const w = BRACKET_VIEW.matchWidth;
+    const parts = [];
+
+    // Connectors: winner of one match into its slot in the next (drops to the losers bracket are labelled instead)
+    layout.boxes.forEach(({ match, x, y }) => {
+        match.slots.forEach((slot, s) => {
+            const from = slot.winnerOf && boxById.get(slot.winnerOf);
+            if (!from) return;
+            const x1 = from.x + w;
+            const xm = x1 + BRACKET_VIEW.columnGap / 2;
+            const y2 = y - h / 2 + s * h;
+            const onPath = highlight && from.match.winner === highlight && match.players[s] === highlight;
+            parts.push(`<path d="M${x1} ${from.y} H${xm} V${y2} H${x}" fill="none" stroke="${onPath ? BRACKET_COLORS.highlight : BRACKET_COLORS.line}" stroke-width="${onPath ? 3 : 1.5}"/>`);
+        });
+    });
+
+    layout.boxes.forEach(({ match, x, y }) => {
+        const involved = highlight && match.players.includes(highlight);
+        const top = y - h;
+        parts.push(`<g data-match="${escapeXml(match.id)}">`);
+        parts.push(`<rect x="${x}" y="${top}" width="${w}" height="${h * 2}" rx="4" fill="${BRACKET_COLORS.box}" stroke="${involved ? BRACKET_COLORS.highlight : BRACKET_COLORS.border}" stroke-width="${involved ? 2.5 : 1}"/>`);
+        parts.push(`<line x1="${x}" y1="${y}" x2="${x + w}" y2="${y}" stroke="${BRACKET_COLORS.line}" stroke-width="1"/>`);
+
+        match.players.forEach((id, s) => {
+            const rowTop = top + s * h;
+            const textY = rowTop + h / 2 + 4;
+            if (id === null || id === undefined) {
+                const slot = match.slots[s];
+                const source = slot.winnerOf || slot.loserOf;
+                const text = id === null ? 'bye' : (source ? `${slot.winnerOf ? 'Winner' : 'Loser'} ${source}` : 'TBD');
+                parts.push(`<text x="${x + 8}" y="${textY}" font-size="11" font-style="italic" fill="${BRACKET_COLORS.muted}">${escapeXml(text)}</text>`);
+                return;
+            }
+            const won = match.winner === id && match.status === MATCH_PLAYED;
+            const lost = match.loser === id;
+            if (id === highlight) {
+                parts.push(`<rect x="${x + 1}" y="${rowTop + 1}" width="${w - 2}" height="${h - 2}" fill="${BRACKET_COLORS.highlightFill}"/>`);
+            }
+            const seed = seedOf.get(id);
+            const name = id.length > 22 ? `${id.slice(0, 21)}…` : id;
+            parts.push(`<g data-player="${escapeXml(id)}" style="cursor: pointer;">`);
+            parts.push(`<title>${escapeXml(id)}</title>`);
+            if (seed) {
+                parts.push(`<text x="${x + 6}" y="${textY}" font-size="10" fill="${BRACKET_COLORS.muted}">${seed}</text>`);
+            }
+            parts.push(`<text x="${x + 30}" y="${textY}" font-size="12" font-weight="${won ? 'bold' : 'normal'}" fill="${lost ? BRACKET_COLORS.muted : BRACKET_COLORS.text}"${lost ? ' text-decoration="line-through"' : ''}>${escapeXml(name)}</text>`);
+            if (won) {
+                parts.push(`<text x="${x + w - 8}" y="${textY}" font-size="12" text-anchor="end" fill="${BRACKET_COLORS.winner}">✓</text>`);
+            }
+            parts.push('</g>');
+        });
+        parts.push('</g>');
+    });
+
+    layout.headers.forEach(({ x, y, label }) => {
+        parts.push(`<text x="${x}" y="${y}" font-size="13" font-weight="bold" fill="${BRACKET_COLORS.text}">${escapeXml(label)}</text>`);
+    });
+
+    const { width, height } = layout;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.ceil(width * scale)}" height="${Math.ceil(height * scale)}" viewBox="0 0 ${width} ${height}" font-family="Segoe UI, Tahoma, Geneva, Verdana, sans-serif">`
+        + `<rect width="${width}" height="${height}" fill="#ffffff"/>`
+        + parts.join('')
+        + '</svg>';
+    return { svg, width, height };
+}
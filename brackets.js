@@ -0,0 +1,217 @@
+/**
+ * Elimination Brackets
+ * Fixed bracket trees built once from the seed list: every match knows where its players
+ * come from (a seed, or the winner / loser of an earlier match), so pairings follow the
+ * bracket instead of re-sorting survivors each round. Results live in the tournament rounds;
+ * resolveBracket() replays them onto the tree.
+ */
+
+const BRACKET_WINNERS = 'winners';
+const BRACKET_LOSERS = 'losers';
+const BRACKET_FINAL = 'final';
+const BRACKET_RESET = 'reset';
+
+// Resolved match status
+const MATCH_WAITING = 'waiting'; // a player still depends on an unplayed match
+const MATCH_READY = 'ready'; // both players known, not played yet
+const MATCH_PLAYED = 'played';
+const MATCH_BYE = 'bye'; // only one player: advances without playing
+const MATCH_VOID = 'void'; // nobody to play (empty bracket slots, or an unneeded bracket reset)
+
+/**
+ * Smallest power of two that holds the field
+ */
+function bracketSize(playerCount) {
+    let size = 2;
+    while (size < playerCount) size *= 2;
+    return size;
+}
+
+/**
+ * Standard seed order for a bracket of the given size: 1 v 16, 8 v 9, 5 v 12, 4 v 13, ...
+ * so seeds 1 and 2 can only meet in the final
+ * @param {number} size - Power of two
+ * @returns {Array<number>} Seed numbers in bracket-line order
+ */
+function bracketSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const sum = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, sum - seed]);
+    }
+    return order;
+}
+
+/**
+ * Winners bracket: seeds placed in standard order, so byes (empty slots) fall to the top seeds
+ */
+function winnersBracketMatches(size) {
+    const levels = Math.log2(size);
+    const order = bracketSeedOrder(size);
+    const matches = [];
+    const add = (id, bracketRound, slots) => matches.push({ id, bracket: BRACKET_WINNERS, bracketRound, slots });
+
+    for (let i = 0; i < size / 2; i++) {
+        add(`W1-${i + 1}`, 1, [{ seed: order[2 * i] }, { seed: order[2 * i + 1] }]);
+    }
+    for (let r = 2; r <= levels; r++) {
+        for (let i = 0; i < size / 2 ** r; i++) {
+            add(`W${r}-${i + 1}`, r, [{ winnerOf: `W${r - 1}-${2 * i + 1}` }, { winnerOf: `W${r - 1}-${2 * i + 2}` }]);
+        }
+    }
+    return matches;
+}
+
+/**
+ * Single elimination tree: the winners bracket alone, its last match is the final
+ * @param {number} playerCount
+ * @returns {Array} Matches, see buildDoubleEliminationBracket()
+ */
+function buildSingleEliminationBracket(playerCount) {
+    return winnersBracketMatches(bracketSize(playerCount));
+}
+
+/**
+ * Double elimination tree: winners bracket, losers bracket, grand final and optional reset
+ * Slot sources: { seed }, { winnerOf } or { loserOf }.
+ * @param {number} playerCount
+ * @param {Object} options - { reset: true } adds a bracket-reset match to the grand final
+ * @returns {Array<{id: string, bracket: string, bracketRound: number, slots: Array<Object>}>}
+ *          Matches in an order where every source comes before the match that uses it
+ */
+function buildDoubleEliminationBracket(playerCount, options = {}) {
+    const size = bracketSize(playerCount);
+    const levels = Math.log2(size);
+    const matches = winnersBracketMatches(size);
+    const add = (id, bracket, bracketRound, slots) => matches.push({ id, bracket, bracketRound, slots });
+
+    // Losers bracket: round 1 pairs the first-round losers, then each even round takes in the
+    // losers dropping from the winners bracket (in alternating order, to delay rematches)
+    // and each odd round halves the field
+    if (levels >= 2) {
+        for (let i = 0; i < size / 4; i++) {
+            add(`L1-${i + 1}`, BRACKET_LOSERS, 1, [{ loserOf: `W1-${2 * i + 1}` }, { loserOf: `W1-${2 * i + 2}` }]);
+        }
+        for (let j = 1; j <= levels - 1; j++) {
+            const count = size / 2 ** (j + 1);
+            for (let i = 0; i < count; i++) {
+                const drop = j % 2 === 1 ? count - i : i + 1;
+                add(`L${2 * j}-${i + 1}`, BRACKET_LOSERS, 2 * j, [{ winnerOf: `L${2 * j - 1}-${i + 1}` }, { loserOf: `W${j + 1}-${drop}` }]);
+            }
+            if (j === levels - 1) break;
+            for (let i = 0; i < count / 2; i++) {
+                add(`L${2 * j + 1}-${i + 1}`, BRACKET_LOSERS, 2 * j + 1, [{ winnerOf: `L${2 * j}-${2 * i + 1}` }, { winnerOf: `L${2 * j}-${2 * i + 2}` }]);
+            }
+        }
+    }
+
+    // Grand final: winners-bracket champion v losers-bracket champion (two players: the loser of the only match)
+    const losersChampion = levels >= 2 ? { winnerOf: `L${2 * (levels - 1)}-1` } : { loserOf: 'W1-1' };
+    add('GF', BRACKET_FINAL, 1, [{ winnerOf: `W${levels}-1` }, losersChampion]);
+    if (options.reset) {
+        add('GF2', BRACKET_RESET, 1, [{ winnerOf: 'GF' }, { loserOf: 'GF' }]);
+    }
+    return matches;
+}
+
+/**
+ * Replay results onto a bracket
+ * @param {Array} matches - From buildSingleEliminationBracket() or buildDoubleEliminationBracket()
+ * @param {Array<string>} seeds - Player IDs, seed 1 first
+ * @param {Map<string, string>} results - Match ID -> winner ID
+ * @returns {{matches: Array, champion: string|null}} Each match gets players [a, b]
+ *          (null = empty slot, undefined = not known yet), status, winner, loser
+ */
+function resolveBracket(matches, seeds, results) {
+    const byId = new Map();
+    const resolved = matches.map(match => {
+        const players = match.slots.map(slot => {
+            if (slot.seed) return seeds[slot.seed - 1] || null;
+            const source = byId.get(slot.winnerOf || slot.loserOf);
+            return slot.winnerOf ? source.winner : source.loser;
+        });
+        const entry = { ...match, players, status: MATCH_WAITING, winner: undefined, loser: undefined };
+        byId.set(match.id, entry);
+
+        if (players.includes(undefined)) return entry;
+        const [a, b] = players;
+        if (match.bracket === BRACKET_RESET && byId.get('GF').winner === byId.get('GF').players[0]) {
+            // The winners-bracket champion won the grand final: no reset needed
+            return Object.assign(entry, { status: MATCH_VOID, winner: null, loser: null });
+        }
+        if (!a && !b) return Object.assign(entry, { status: MATCH_VOID, winner: null, loser: null });
+        if (!a || !b) return Object.assign(entry, { status: MATCH_BYE, winner: a || b, loser: null });
+
+        const winner = results.get(match.id);
+        if (winner !== a && winner !== b) return Object.assign(entry, { status: MATCH_READY });
+        return Object.assign(entry, { status: MATCH_PLAYED, winner, loser: winner === a ? b : a });
+    });
+
+    // Single elimination ends with its last match; double elimination with the grand final (or its reset)
+    const final = byId.get('GF') || resolved[resolved.length - 1];
+    const reset = byId.get('GF2');
+    let champion = null;
+    if (reset && reset.status === MATCH_PLAYED) {
+        champion = reset.winner;
+    } else if ((final.status === MATCH_PLAYED || final.status === MATCH_BYE) && (!reset || reset.status === MATCH_VOID)) {
+        champion = final.winner;
+    }
+    return { matches: resolved, champion };
+}
+
+/**
+ * Rounds needed when every round plays all matches that are ready (a bracket reset not included)
+ */
+function bracketRoundCount(matches, seedCount) {
+    const seeds = Array.from({ length: seedCount }, (_, i) => `seed-${i + 1}`);
+    // Whoever wins doesn't change the shape of the bracket: let the first slot win everything
+    const results = new Map();
+    let state = resolveBracket(matches, seeds, results);
+    let rounds = 0;
+    while (!state.champion) {
+        const ready = state.matches.filter(m => m.status === MATCH_READY);
+        if (ready.length === 0) break;
+        ready.forEach(m => results.set(m.id, m.players[0]));
+        state = resolveBracket(matches, seeds, results);
+        rounds++;
+    }
+    return rounds;
+}
+
+/**
+ * The match a player moves on to from this one
+ * @param {Array} matches - Resolved matches (resolveBracket().matches)
+ * @param {string} matchId
+ * @param {string} outcome - 'winner' or 'loser'
+ * @returns {{match: Object, slot: number}|null} null when the player has no further match
+ */
+function nextBracketMatch(matches, matchId, outcome = 'winner') {
+    const key = outcome === 'winner' ? 'winnerOf' : 'loserOf';
+    for (const match of matches) {
+        const slot = match.slots.findIndex(s => s[key] === matchId);
+        if (slot !== -1) return { match, slot };
+    }
+    return null;
+}
+
+/**
+ * Single elimination round name: "Final", "Semi-final", "Quarter-final", then "Round of 16", ...
+ * @param {number} bracketRound
+ * @param {number} levels - Rounds in the bracket (log2 of its size)
+ */
+function knockoutRoundName(bracketRound, levels) {
+    const remaining = levels - bracketRound;
+    if (remaining === 0) return 'Final';
+    if (remaining === 1) return 'Semi-final';
+    if (remaining === 2) return 'Quarter-final';
+    return `Round of ${2 ** (remaining + 1)}`;
+}
+
+/**
+ * Short label for a bracket match, e.g. "Winners R2", "Losers R3", "Grand Final"
+ */
+function bracketMatchLabel(bracket, bracketRound) {
+    if (bracket === BRACKET_FINAL) return 'Grand Final';
+    if (bracket === BRACKET_RESET) return 'Grand Final (Reset)';
+    return `${bracket === BRACKET_WINNERS ? 'Winners' : 'Losers'} R${bracketRound}`;
+}
@@ -0,0 +1,119 @@
+/**
+ * Colour Allocation
+ * Each player keeps a colour history ('W' / 'B' per game played). Rules:
+ * - colour difference (whites - blacks) stays within ±2
+ * - nobody gets the same colour three times in a row
+ * Round-robin colours come from the Berger tables instead.
+ */
+
+const WHITE = 'W';
+const BLACK = 'B';
+
+// Preference strengths
+const COLOR_PREF_NONE = 0;
+const COLOR_PREF_MILD = 1;
+const COLOR_PREF_STRONG = 2;
+const COLOR_PREF_ABSOLUTE = 3;
+
+/**
+ * Whites minus blacks so far
+ */
+function colorDifference(player) {
+    return (player.colors || []).reduce((diff, c) => diff + (c === WHITE ? 1 : c === BLACK ? -1 : 0), 0);
+}
+
+/**
+ * Colour a player should get next, and how much it matters
+ * @returns {{color: string|null, strength: number}}
+ */
+function colorPreference(player) {
+    const history = (player.colors || []).filter(c => c === WHITE || c === BLACK);
+    if (history.length === 0) return { color: null, strength: COLOR_PREF_NONE };
+
+    const diff = colorDifference(player);
+    const last = history[history.length - 1];
+    const opposite = last === WHITE ? BLACK : WHITE;
+    const twoInARow = history.length >= 2 && history[history.length - 2] === last;
+
+    if (diff <= -2 || (twoInARow && last === BLACK)) return { color: WHITE, strength: COLOR_PREF_ABSOLUTE };
+    if (diff >= 2 || (twoInARow && last === WHITE)) return { color: BLACK, strength: COLOR_PREF_ABSOLUTE };
+    if (diff === -1) return { color: WHITE, strength: COLOR_PREF_STRONG };
+    if (diff === 1) return { color: BLACK, strength: COLOR_PREF_STRONG };
+    return { color: opposite, strength: COLOR_PREF_MILD };
+}
+
+/**
+ * True when two players both need the same colour (meeting would break a colour rule)
+ */
+function colorsClash(a, b) {
+    const prefA = colorPreference(a);
+    const prefB = colorPreference(b);
+    return prefA.strength === COLOR_PREF_ABSOLUTE && prefB.strength === COLOR_PREF_ABSOLUTE && prefA.color === prefB.color;
+}
+
+/**
+ * Decide who plays White
+ * @param {Object} higher - Higher-ranked player
+ * @param {Object} lower - Lower-ranked player
+ * @param {number} boardIndex - 0-based board number (used to alternate when nobody has a preference)
+ * @returns {[Object, Object]} [white, black]
+ */
+function allocateColors(higher, lower, boardIndex = 0) {
+    const prefH = colorPreference(higher);
+    const prefL = colorPreference(lower);
+
+    if (!prefH.color && !prefL.color) {
+        return boardIndex % 2 === 0 ? [higher, lower] : [lower, higher];
+    }
+    if (prefH.color !== prefL.color) {
+        if (prefH.color === WHITE || prefL.color === BLACK) return [higher, lower];
+        return [lower, higher];
+    }
+
+    // Both want the same colour: stronger preference, then bigger imbalance, then alternate from
+    // the last round they had different colours, then the higher-ranked player
+    const wanted = prefH.color;
+    let higherGetsIt;
+    if (prefH.strength !== prefL.strength) {
+        higherGetsIt = prefH.strength > prefL.strength;
+    } else if (Math.abs(colorDifference(higher)) !== Math.abs(colorDifference(lower))) {
+        higherGetsIt = Math.abs(colorDifference(higher)) > Math.abs(colorDifference(lower));
+    } else {
+        higherGetsIt = true;
+        const histH = higher.colors || [];
+        const histL = lower.colors || [];
+        for (let i = 1; i <= Math.min(histH.length, histL.length); i++) {
+            const cH = histH[histH.length - i];
+            const cL = histL[histL.length - i];
+            if (cH !== cL && (cH === WHITE || cH === BLACK) && (cL === WHITE || cL === BLACK)) {
+                higherGetsIt = cH !== wanted;
+                break;
+            }
+        }
+    }
+
+    return higherGetsIt === (wanted === WHITE) ? [higher, lower] : [lower, higher];
+}
+
+/**
+ * Berger table pairings for one round
+ * @param {number} n - Number of pairing numbers (even; add a dummy for an odd field)
+ * @param {number} round - 1-based round number
+ * @returns {Array<[number, number]>} [white, black] pairing numbers (1-based), board 1 first
+ */
+function bergerRound(n, round) {
+    const m = n - 1;
+    const offset = (round - 1) * (n / 2);
+    const boards = [];
+
+    // Board 1: the fixed last number, alternating colour every round
+    const p = (offset % m) + 1;
+    boards.push(round % 2 === 1 ? [p, n] : [n, p]);
+
+    for (let i = 2; i <= n / 2; i++) {
+        const white = ((offset + i - 1) % m) + 1;
+        const black = (((offset - i + 1) % m) + m) % m + 1;
+        boards.push([white, black]);
+    }
+    return boards;
+}
@@ -0,0 +1,135 @@
+/**
+ * Round-Robin Crosstable
+ * The N×N table round-robins are published as: one row per player in final order, a column per
+ * opponent with their head-to-head result (several games in a double round-robin), then the
+ * score, Sonneborn-Berger and rank. Built from the tournament rounds; shown on the page and
+ * exported as CSV or as a standalone HTML page for printing.
+ */
+
+/**
+ * @param {Tournament} tournament
+ * @returns {{rows: Array<{number, player, rank, score, sonnebornBerger, results: Array<string|null>}>}}
+ *          results[i] is the result against the player in row i ('' not played yet, * adjourned), null on the diagonal
+ */
+function buildCrosstable(tournament) {
+    const standings = tournament.getStandings('score');
+    const engine = new TieBreakEngine(tournament.rounds, tournament.players, tournament.byeSettings);
+    const index = new Map(standings.map((player, i) => [player.id, i]));
+    const results = standings.map((_, i) => standings.map((__, j) => (i === j ? null : [])));
+
+    [...tournament.rounds].sort((a, b) => a.round - b.round).forEach(roundData => {
+        roundData.pairings.forEach(p => {
+            if (!p.player2Id || !index.has(p.player1Id) || !index.has(p.player2Id)) return;
+            const row1 = index.get(p.player1Id);
+            const row2 = index.get(p.player2Id);
+            if (!p.resultRecorded) {
+                // Adjourned games are shown as *; other games without a result stay blank
+                if (isPendingResult(p.result)) {
+                    results[row1][row2].push(resultSymbol(null));
+                    results[row2][row1].push(resultSymbol(null));
+                }
+                return;
+            }
+            const [points1, points2] = resultPoints(p.result);
+            const played = isPlayedResult(p.result);
+            results[row1][row2].push(resultSymbol(points1, played));
+            results[row2][row1].push(resultSymbol(points2, played));
+        });
+    });
+
+    return {
+        rows: standings.map((player, i) => ({
+            number: i + 1,
+            player,
+            rank: player.rank,
+            score: player.score,
+            sonnebornBerger: engine.compute('sonneborn-berger', player.id),
+            results: results[i].map(cell => (cell === null ? null : cell.join(' ')))
+        }))
+    };
+}
+
+/**
+ * Crosstable as an HTML table (styled by the .crosstable rules on the page, inline in the printable page)
+ */
+function crosstableHtml(table) {
+    const header = table.rows.map(row => `<th title="${escapeXml(row.player.id)}">${row.number}</th>`).join('');
+    const body = table.rows.map(row => `
+        <tr>
+            <td class="rank">${row.number}</td>
+            <td class="crosstable-name">${escapeXml(row.player.id)}</td>
+            <td>${row.player.rating}</td>
+            ${row.results.map(cell => (cell === null ? '<td class="crosstable-self"></td>' : `<td>${cell}</td>`)).join('')}
+            <td class="score">${formatCrosstableNumber(row.score)}</td>
+            <td>${formatCrosstableNumber(row.sonnebornBerger)}</td>
+            <td class="rank">${row.rank}</td>
+        </tr>
+    `).join('');
+    return `
+        <table class="standings-table crosstable">
+            <thead>
+                <tr><th class="rank">No</th><th>Player</th><th>Rating</th>${header}<th>Score</th><th title="Sonneborn-Berger">SB</th><th class="rank">Rank</th></tr>
+            </thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Crosstable as CSV rows (header first)
+ */
+function crosstableCsvRows(table) {
+    const quote = (value) => {
+        const s = String(value ?? '');
+        return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const rows = [['No', 'Player', 'Rating', ...table.rows.map(row => row.number), 'Score', 'Sonneborn-Berger', 'Rank'].join(',')];
+    table.rows.forEach(row => {
+        rows.push([
+            row.number,
+            quote(row.player.id),
+            row.player.rating,
+            ...row.results.map(cell => (cell === null ? 'x' : quote(cell))),
+            row.score,
+            Math.round(row.sonnebornBerger * 100) / 100,
+            row.rank
+        ].join(','));
+    });
+    return rows;
+}
+
+/**
+ * A standalone HTML page with the crosstable, ready to print or publish
+ */
+function crosstablePage(table, title) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(title)} – Crosstable</title>
+<style>
+    body { font-family: sans-serif; color: #2c3e50; margin: 24px; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #b0b8c1; padding: 4px 8px; text-align: center; }
+    td.crosstable-name { text-align: left; white-space: nowrap; }
+    td.crosstable-self { background: #2c3e50; }
+    th { background: #f8f9fa; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+${crosstableHtml(table)}
+<p>Printed ${escapeXml(new Date().toLocaleString())}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Scores as published: 3½, ½, 7 (other fractions, e.g. Sonneborn-Berger quarters, as decimals)
+ */
+function formatCrosstableNumber(value) {
+    const whole = Math.floor(value);
+    if (value - whole === 0.5) return `${whole || ''}½`;
+    return String(Math.round(value * 100) / 100);
+}
@@ -0,0 +1,107 @@
+/**
+ * Elo Estimates
+ * What the tournament is worth in rating terms, from the games played so far: expected score and
+ * rating change per game (K-factor set by the organiser), average opponent rating and tournament
+ * performance rating (TPR). Only games played over the board count: byes, forfeits, walkovers and
+ * games against unrated players (rating 0) are left out. Knockout mini-matches count their
+ * classical games; rapid, blitz and Armageddon tiebreaks are rated separately and don't count.
+ */
+
+const DEFAULT_K_FACTOR = 20;
+const ELO_MAX_DIFFERENCE = 400; // FIDE: a larger rating difference counts as 400
+const ELO_MAX_PERFORMANCE_GAP = 800; // TPR for a 100% or 0% score: average opponent ± 800
+
+/**
+ * Expected score of a player against one opponent
+ * @param {number} rating
+ * @param {number} opponentRating
+ * @returns {number} 0..1
+ */
+function expectedScore(rating, opponentRating) {
+    const difference = Math.max(-ELO_MAX_DIFFERENCE, Math.min(ELO_MAX_DIFFERENCE, opponentRating - rating));
+    return 1 / (1 + Math.pow(10, difference / 400));
+}
+
+/**
+ * Rating change for one game
+ * @param {number} points - 1, 0.5 or 0
+ * @param {number} kFactor
+ */
+function ratingChange(rating, opponentRating, points, kFactor = DEFAULT_K_FACTOR) {
+    return kFactor * (points - expectedScore(rating, opponentRating));
+}
+
+/**
+ * Tournament performance rating: the rating at which the score would have been the expected one
+ * @param {number} averageOpponent
+ * @param {number} points
+ * @param {number} games
+ */
+function performanceRating(averageOpponent, points, games) {
+    const fraction = points / games;
+    if (fraction >= 1) return averageOpponent + ELO_MAX_PERFORMANCE_GAP;
+    if (fraction <= 0) return averageOpponent - ELO_MAX_PERFORMANCE_GAP;
+    const gap = -400 * Math.log10(1 / fraction - 1);
+    return averageOpponent + Math.max(-ELO_MAX_PERFORMANCE_GAP, Math.min(ELO_MAX_PERFORMANCE_GAP, gap));
+}
+
+/**
+ * The rated games of the tournament, once per player: { playerId, opponentId, points }
+ * @param {Array} rounds
+ */
+function ratedGames(rounds) {
+    const games = [];
+    const add = (whiteId, blackId, whitePoints) => {
+        games.push({ playerId: whiteId, opponentId: blackId, points: whitePoints });
+        games.push({ playerId: blackId, opponentId: whiteId, points: 1 - whitePoints });
+    };
+    rounds.forEach(roundData => {
+        roundData.pairings.forEach(p => {
+            if (!p.player2Id) return;
+            if (p.games) {
+                p.games
+                    .filter(g => g.result && g.stage === STAGE_CLASSICAL)
+                    .forEach(g => add(g.whiteId, g.blackId, resultPoints(g.result)[0]));
+            } else if (p.knockout) {
+                if (p.resultRecorded && !p.walkover) add(p.player1Id, p.player2Id, p.winnerId === p.player1Id ? 1 : 0);
+            } else if (p.resultRecorded && isPlayedResult(p.result)) {
+                add(p.player1Id, p.player2Id, resultPoints(p.result)[0]);
+            }
+        });
+    });
+    return games;
+}
+
+/**
+ * Elo figures for every player
+ * @param {Array} rounds - Tournament rounds
+ * @param {Array} players - Tournament players (their rating is the rating before the tournament)
+ * @param {number} kFactor
+ * @returns {Map<string, {games, points, expected, ratingChange, averageOpponent, performance}>}
+ *          averageOpponent and performance are null until a rated game has been played
+ */
+function computeEloStats(rounds, players, kFactor = DEFAULT_K_FACTOR) {
+    const byId = new Map(players.map(p => [p.id, p]));
+    const stats = new Map(players.map(p => [p.id, {
+        games: 0, points: 0, expected: 0, ratingChange: 0, opponentRatings: 0, averageOpponent: null, performance: null
+    }]));
+
+    ratedGames(rounds).forEach(game => {
+        const player = byId.get(game.playerId);
+        const opponent = byId.get(game.opponentId);
+        if (!player || !opponent || !(player.rating > 0) || !(opponent.rating > 0)) return;
+        const entry = stats.get(player.id);
+        entry.games++;
+        entry.points += game.points;
+        entry.expected += expectedScore(player.rating, opponent.rating);
+        entry.ratingChange += ratingChange(player.rating, opponent.rating, game.points, kFactor);
+        entry.opponentRatings += opponent.rating;
+    });
+
+    stats.forEach(entry => {
+        if (entry.games === 0) return;
+        entry.averageOpponent = entry.opponentRatings / entry.games;
+        entry.performance = performanceRating(entry.averageOpponent, entry.points, entry.games);
+    });
+    return stats;
+}
@@ -0,0 +1,119 @@
+/**
+ * Knockout Match Formats
+ * A knockout pairing can be a mini-match: a number of classical games, then rapid and blitz
+ * tiebreak games while the match is level, and finally an Armageddon game where a draw sends
+ * Black through. The games needed so far (with colours) and the winner follow from the results.
+ */
+
+const STAGE_CLASSICAL = 'classical';
+const STAGE_RAPID = 'rapid';
+const STAGE_BLITZ = 'blitz';
+const STAGE_ARMAGEDDON = 'armageddon';
+
+const STAGE_LABELS = {
+    [STAGE_CLASSICAL]: 'Classical',
+    [STAGE_RAPID]: 'Rapid',
+    [STAGE_BLITZ]: 'Blitz',
+    [STAGE_ARMAGEDDON]: 'Armageddon'
+};
+
+// One decisive game, as knockout has always been played here
+const DEFAULT_KNOCKOUT_FORMAT = { games: 1, rapidGames: 0, blitzGames: 0, armageddon: false };
+
+/**
+ * Check a match format and fill in missing fields
+ * @param {Object} format - { games, rapidGames, blitzGames, armageddon }
+ * @returns {Object} A clean copy
+ */
+function normalizeMatchFormat(format = {}) {
+    const count = (value, min, name) => {
+        const n = value === undefined ? min : Number(value);
+        if (!Number.isInteger(n) || n < min || n > 20) {
+            throw new Error(`${name} must be a whole number from ${min} to 20`);
+        }
+        return n;
+    };
+    return {
+        games: count(format.games, 1, 'Games per match'),
+        rapidGames: count(format.rapidGames, 0, 'Rapid tiebreak games'),
+        blitzGames: count(format.blitzGames, 0, 'Blitz tiebreak games'),
+        armageddon: Boolean(format.armageddon)
+    };
+}
+
+/**
+ * A single game with no tiebreaks: the winner is simply marked, no per-game results
+ */
+function isSingleGameFormat(format) {
+    return !format || (format.games === 1 && !format.rapidGames && !format.blitzGames && !format.armageddon);
+}
+
+/**
+ * Stages in playing order
+ */
+function matchStages(format) {
+    const stages = [{ stage: STAGE_CLASSICAL, games: format.games }];
+    if (format.rapidGames > 0) stages.push({ stage: STAGE_RAPID, games: format.rapidGames });
+    if (format.blitzGames > 0) stages.push({ stage: STAGE_BLITZ, games: format.blitzGames });
+    if (format.armageddon) stages.push({ stage: STAGE_ARMAGEDDON, games: 1 });
+    return stages;
+}
+
+/**
+ * Replay a mini-match
+ * Colours alternate game by game, player1 (the higher seed) starting with White. A stage ends as soon
+ * as one player is out of reach; a level stage moves on to the next. In Armageddon a draw counts as a
+ * win for Black.
+ * @param {Object} format - See normalizeMatchFormat()
+ * @param {string} player1Id
+ * @param {string} player2Id
+ * @param {Array<string|null>} results - Results of the games so far, in order ('1-0', '0-1', '0.5-0.5', White first)
+ * @returns {{games: Array, winnerId: string|null, status: string, scores: Array}}
+ *          games: [{ stage, number, whiteId, blackId, result }] up to and including the next game to play;
+ *          status: 'in-progress', 'decided' or 'level' (every stage played and still level: the arbiter decides);
+ *          scores: [{ stage, points: { [playerId]: number } }] per stage played
+ */
+function miniMatchState(format, player1Id, player2Id, results = []) {
+    const games = [];
+    const scores = [];
+    let index = 0;
+
+    for (const { stage, games: count } of matchStages(format)) {
+        const points = { [player1Id]: 0, [player2Id]: 0 };
+        scores.push({ stage, points });
+        for (let number = 1; number <= count; number++) {
+            const whiteId = index % 2 === 0 ? player1Id : player2Id;
+            const blackId = whiteId === player1Id ? player2Id : player1Id;
+            const result = results[index] || null;
+            games.push({ stage, number, whiteId, blackId, result });
+            index++;
+            if (!result) return { games, winnerId: null, status: 'in-progress', scores };
+
+            let [whitePoints, blackPoints] = result.split('-').map(Number);
+            if (stage === STAGE_ARMAGEDDON && whitePoints === blackPoints) {
+                [whitePoints, blackPoints] = [0, 1];
+            }
+            points[whiteId] += whitePoints;
+            points[blackId] += blackPoints;
+
+            // Out of reach: more than half of the stage's points
+            const leader = [player1Id, player2Id].find(id => points[id] > count / 2);
+            if (leader) return { games, winnerId: leader, status: 'decided', scores };
+        }
+        if (points[player1Id] !== points[player2Id]) {
+            return { games, winnerId: points[player1Id] > points[player2Id] ? player1Id : player2Id, status: 'decided', scores };
+        }
+    }
+    return { games, winnerId: null, status: 'level', scores };
+}
+
+/**
+ * Score line of a mini-match, e.g. "1–1, Rapid 1½–½" (player1 first)
+ */
+function miniMatchSummary(state, player1Id, player2Id) {
+    const half = (n) => `${Math.floor(n) || (n % 1 ? '' : '0')}${n % 1 ? '½' : ''}`;
+    return state.scores
+        .filter(s => s.points[player1Id] + s.points[player2Id] > 0)
+        .map(s => `${s.stage === STAGE_CLASSICAL ? '' : `${STAGE_LABELS[s.stage]} `}${half(s.points[player1Id])}–${half(s.points[player2Id])}`)
+        .join(', ');
+}
@@ -0,0 +1,431 @@
+/**
+ * Maximum Weight Matching
+ * Edmonds' blossom algorithm for general graphs, O(n^3).
+ * Used by the pairing engines to pair a whole field at once instead of group by group.
+ */
+
+/**
+ * Compute a maximum weight matching
+ * @param {Array<[number, number, number]>} edges - [i, j, weight] with integer weights, vertices numbered from 0
+ * @param {boolean} maxCardinality - Only accept maximum-cardinality matchings (pair as many vertices as possible)
+ * @returns {Array<number>} mate[v] = vertex matched to v, or -1 when v is unmatched
+ */
+function maxWeightMatching(edges, maxCardinality = false) {
+    if (edges.length === 0) return [];
+
+    const nedge = edges.length;
+    let nvertex = 0;
+    edges.forEach(([i, j]) => {
+        nvertex = Math.max(nvertex, i + 1, j + 1);
+    });
+    const maxWeight = edges.reduce((max, e) => Math.max(max, e[2]), 0);
+
+    // endpoint[p] is the vertex at endpoint p; edge k has endpoints 2k and 2k+1
+    const endpoint = [];
+    for (let p = 0; p < 2 * nedge; p++) endpoint.push(edges[p >> 1][p % 2]);
+
+    const neighbend = Array.from({ length: nvertex }, () => []);
+    edges.forEach(([i, j], k) => {
+        neighbend[i].push(2 * k + 1);
+        neighbend[j].push(2 * k);
+    });
+
+    const mate = new Array(nvertex).fill(-1);
+    const label = new Array(2 * nvertex).fill(0);
+    const labelEnd = new Array(2 * nvertex).fill(-1);
+    const inBlossom = Array.from({ length: nvertex }, (_, i) => i);
+    const blossomParent = new Array(2 * nvertex).fill(-1);
+    const blossomChilds = new Array(2 * nvertex).fill(null);
+    const blossomBase = [...Array.from({ length: nvertex }, (_, i) => i), ...new Array(nvertex).fill(-1)];
+    const blossomEndps = new Array(2 * nvertex).fill(null);
+    const bestEdge = new Array(2 * nvertex).fill(-1);
+    const blossomBestEdges = new Array(2 * nvertex).fill(null);
+    const unusedBlossoms = Array.from({ length: nvertex }, (_, i) => nvertex + i);
+    const dualVar = [...new Array(nvertex).fill(maxWeight), ...new Array(nvertex).fill(0)];
+    const allowEdge = new Array(nedge).fill(false);
+    let queue = [];
+
+    const slack = (k) => {
+        const [i, j, wt] = edges[k];
+        return dualVar[i] + dualVar[j] - 2 * wt;
+    };
+
+    const minVertexDual = () => dualVar.slice(0, nvertex).reduce((min, d) => Math.min(min, d), Infinity);
+
+    const blossomLeaves = (b, out = []) => {
+        if (b < nvertex) {
+            out.push(b);
+        } else {
+            blossomChilds[b].forEach(t => blossomLeaves(t, out));
+        }
+        return out;
+    };
+
+    const assignLabel = (w, t, p) => {
+        const b = inBlossom[w];
+        label[w] = label[b] = t;
+        labelEnd[w] = labelEnd[b] = p;
+        bestEdge[w] = bestEdge[b] = -1;
+        if (t === 1) {
+            queue.push(...blossomLeaves(b));
+        } else if (t === 2) {
+            const base = blossomBase[b];
+            assignLabel(endpoint[mate[base]], 1, mate[base] ^ 1);
+        }
+    };
+
+    // Trace back from v and w to find a new blossom base, or -1 for an augmenting path
+    const scanBlossom = (v, w) => {
+        const path = [];
+        let base = -1;
+        while (v !== -1 || w !== -1) {
+            let b = inBlossom[v];
+            if (label[b] & 4) {
+                base = blossomBase[b];
+                break;
+            }
+            path.push(b);
+            label[b] = 5;
+            if (labelEnd[b] === -1) {
+                v = -1;
+            } else {
+                v = endpoint[labelEnd[b]];
+                b = inBlossom[v];
+                v = endpoint[labelEnd[b]];
+            }
+            if (w !== -1) {
+                [v, w] = [w, v];
+            }
+        }
+        path.forEach(b => { label[b] = 1; });
+        return base;
+    };
+
+    const addBlossom = (base, k) => {
+        let [v, w] = edges[k];
+        const bb = inBlossom[base];
+        let bv = inBlossom[v];
+        let bw = inBlossom[w];
+        const b = unusedBlossoms.pop();
+        blossomBase[b] = base;
+        blossomParent[b] = -1;
+        blossomParent[bb] = b;
+        const path = [];
+        const endps = [];
+        while (bv !== bb) {
+            blossomParent[bv] = b;
+            path.push(bv);
+            endps.push(labelEnd[bv]);
+            v = endpoint[labelEnd[bv]];
+            bv = inBlossom[v];
+        }
+        path.push(bb);
+        path.reverse();
+        endps.reverse();
+        endps.push(2 * k);
+        while (bw !== bb) {
+            blossomParent[bw] = b;
+            path.push(bw);
+            endps.push(labelEnd[bw] ^ 1);
+            w = endpoint[labelEnd[bw]];
+            bw = inBlossom[w];
+        }
+        blossomChilds[b] = path;
+        blossomEndps[b] = endps;
+        label[b] = 1;
+        labelEnd[b] = labelEnd[bb];
+        dualVar[b] = 0;
+        blossomLeaves(b).forEach(leaf => {
+            if (label[inBlossom[leaf]] === 2) queue.push(leaf);
+            inBlossom[leaf] = b;
+        });
+
+        const bestEdgeTo = new Array(2 * nvertex).fill(-1);
+        path.forEach(child => {
+            const nbLists = blossomBestEdges[child] === null
+                ? blossomLeaves(child).map(leaf => neighbend[leaf].map(p => p >> 1))
+                : [blossomBestEdges[child]];
+            nbLists.forEach(nbList => {
+                nbList.forEach(ek => {
+                    let [i, j] = edges[ek];
+                    if (inBlossom[j] === b) [i, j] = [j, i];
+                    const bj = inBlossom[j];
+                    if (bj !== b && label[bj] === 1 &&
+                        (bestEdgeTo[bj] === -1 || slack(ek) < slack(bestEdgeTo[bj]))) {
+                        bestEdgeTo[bj] = ek;
+                    }
+                });
+            });
+            blossomBestEdges[child] = null;
+            bestEdge[child] = -1;
+        });
+        blossomBestEdges[b] = bestEdgeTo.filter(ek => ek !== -1);
+        bestEdge[b] = -1;
+        blossomBestEdges[b].forEach(ek => {
+            if (bestEdge[b] === -1 || slack(ek) < slack(bestEdge[b])) bestEdge[b] = ek;
+        });
+    };
+
+    const expandBlossom = (b, endStage) => {
+        blossomChilds[b].forEach(s => {
+            blossomParent[s] = -1;
+            if (s < nvertex) {
+                inBlossom[s] = s;
+            } else if (endStage && dualVar[s] === 0) {
+                expandBlossom(s, endStage);
+            } else {
+                blossomLeaves(s).forEach(leaf => { inBlossom[leaf] = s; });
+            }
+        });
+
+        if (!endStage && label[b] === 2) {
+            const childs = blossomChilds[b];
+            const endps = blossomEndps[b];
+            const at = (idx) => (idx < 0 ? idx + childs.length : idx);
+            const entryChild = inBlossom[endpoint[labelEnd[b] ^ 1]];
+            let j = childs.indexOf(entryChild);
+            let jstep;
+            let endpTrick;
+            if (j & 1) {
+                j -= childs.length;
+                jstep = 1;
+                endpTrick = 0;
+            } else {
+                jstep = -1;
+                endpTrick = 1;
+            }
+            let p = labelEnd[b];
+            while (j !== 0) {
+                label[endpoint[p ^ 1]] = 0;
+                label[endpoint[endps[at(j - endpTrick)] ^ endpTrick ^ 1]] = 0;
+                assignLabel(endpoint[p ^ 1], 2, p);
+                allowEdge[endps[at(j - endpTrick)] >> 1] = true;
+                j += jstep;
+                p = endps[at(j - endpTrick)] ^ endpTrick;
+                allowEdge[p >> 1] = true;
+                j += jstep;
+            }
+            let bv = childs[at(j)];
+            label[endpoint[p ^ 1]] = label[bv] = 2;
+            labelEnd[endpoint[p ^ 1]] = labelEnd[bv] = p;
+            bestEdge[bv] = -1;
+            j += jstep;
+            while (childs[at(j)] !== entryChild) {
+                bv = childs[at(j)];
+                if (label[bv] === 1) {
+                    j += jstep;
+                    continue;
+                }
+                const labelled = blossomLeaves(bv).find(leaf => label[leaf] !== 0);
+                if (labelled !== undefined) {
+                    label[labelled] = 0;
+                    label[endpoint[mate[blossomBase[bv]]]] = 0;
+                    assignLabel(labelled, 2, labelEnd[labelled]);
+                }
+                j += jstep;
+            }
+        }
+
+        label[b] = labelEnd[b] = -1;
+        blossomChilds[b] = blossomEndps[b] = null;
+        blossomBase[b] = -1;
+        blossomBestEdges[b] = null;
+        bestEdge[b] = -1;
+        unusedBlossoms.push(b);
+    };
+
+    // Swap matched/unmatched edges along the alternating path through blossom b from vertex v
+    const augmentBlossom = (b, v) => {
+        let t = v;
+        while (blossomParent[t] !== b) t = blossomParent[t];
+        if (t >= nvertex) augmentBlossom(t, v);
+
+        const childs = blossomChilds[b];
+        const endps = blossomEndps[b];
+        const at = (idx) => (idx < 0 ? idx + childs.length : idx);
+        const i = childs.indexOf(t);
+        let j = i;
+        let jstep;
+        let endpTrick;
+        if (i & 1) {
+            j -= childs.length;
+            jstep = 1;
+            endpTrick = 0;
+        } else {
+            jstep = -1;
+            endpTrick = 1;
+        }
+        while (j !== 0) {
+            j += jstep;
+            t = childs[at(j)];
+            const p = endps[at(j - endpTrick)] ^ endpTrick;
+            if (t >= nvertex) augmentBlossom(t, endpoint[p]);
+            j += jstep;
+            t = childs[at(j)];
+            if (t >= nvertex) augmentBlossom(t, endpoint[p ^ 1]);
+            mate[endpoint[p]] = p ^ 1;
+            mate[endpoint[p ^ 1]] = p;
+        }
+        blossomChilds[b] = [...childs.slice(i), ...childs.slice(0, i)];
+        blossomEndps[b] = [...endps.slice(i), ...endps.slice(0, i)];
+        blossomBase[b] = blossomBase[blossomChilds[b][0]];
+    };
+
+    const augmentMatching = (k) => {
+        const [v, w] = edges[k];
+        [[v, 2 * k + 1], [w, 2 * k]].forEach(([start, startP]) => {
+            let s = start;
+            let p = startP;
+            for (;;) {
+                const bs = inBlossom[s];
+                if (bs >= nvertex) augmentBlossom(bs, s);
+                mate[s] = p;
+                if (labelEnd[bs] === -1) break;
+                const t = endpoint[labelEnd[bs]];
+                const bt = inBlossom[t];
+                s = endpoint[labelEnd[bt]];
+                const j = endpoint[labelEnd[bt] ^ 1];
+                if (bt >= nvertex) augmentBlossom(bt, j);
+                mate[j] = labelEnd[bt];
+                p = labelEnd[bt] ^ 1;
+            }
+        });
+    };
+
+    for (let stage = 0; stage < nvertex; stage++) {
+        label.fill(0);
+        bestEdge.fill(-1);
+        for (let b = nvertex; b < 2 * nvertex; b++) blossomBestEdges[b] = null;
+        allowEdge.fill(false);
+        queue = [];
+
+        for (let v = 0; v < nvertex; v++) {
+            if (mate[v] === -1 && label[inBlossom[v]] === 0) assignLabel(v, 1, -1);
+        }
+
+        let augmented = false;
+        for (;;) {
+            while (queue.length > 0 && !augmented) {
+                const v = queue.pop();
+                for (const p of neighbend[v]) {
+                    const k = p >> 1;
+                    const w = endpoint[p];
+                    if (inBlossom[v] === inBlossom[w]) continue;
+                    let kslack = 0;
+                    if (!allowEdge[k]) {
+                        kslack = slack(k);
+                        if (kslack <= 0) allowEdge[k] = true;
+                    }
+                    if (allowEdge[k]) {
+                        if (label[inBlossom[w]] === 0) {
+                            assignLabel(w, 2, p ^ 1);
+                        } else if (label[inBlossom[w]] === 1) {
+                            const base = scanBlossom(v, w);
+                            if (base >= 0) {
+                                addBlossom(base, k);
+                            } else {
+                                augmentMatching(k);
+                                augmented = true;
+                                break;
+                            }
+                        } else if (label[w] === 0) {
+                            label[w] = 2;
+                            labelEnd[w] = p ^ 1;
+                        }
+                    } else if (label[inBlossom[w]] === 1) {
+                        const b = inBlossom[v];
+                        if (bestEdge[b] === -1 || kslack < slack(bestEdge[b])) bestEdge[b] = k;
+                    } else if (label[w] === 0) {
+                        if (bestEdge[w] === -1 || kslack < slack(bestEdge[w])) bestEdge[w] = k;
+                    }
+                }
+            }
+            if (augmented) break;
+
+            // No augmenting path yet: adjust the dual variables
+            let deltaType = -1;
+            let delta = 0;
+            let deltaEdge = -1;
+            let deltaBlossom = -1;
+
+            if (!maxCardinality) {
+                deltaType = 1;
+                delta = minVertexDual();
+            }
+            for (let v = 0; v < nvertex; v++) {
+                if (label[inBlossom[v]] === 0 && bestEdge[v] !== -1) {
+                    const d = slack(bestEdge[v]);
+                    if (deltaType === -1 || d < delta) {
+                        delta = d;
+                        deltaType = 2;
+                        deltaEdge = bestEdge[v];
+                    }
+                }
+            }
+            for (let b = 0; b < 2 * nvertex; b++) {
+                if (blossomParent[b] === -1 && label[b] === 1 && bestEdge[b] !== -1) {
+                    const d = slack(bestEdge[b]) / 2;
+                    if (deltaType === -1 || d < delta) {
+                        delta = d;
+                        deltaType = 3;
+                        deltaEdge = bestEdge[b];
+                    }
+                }
+            }
+            for (let b = nvertex; b < 2 * nvertex; b++) {
+                if (blossomBase[b] >= 0 && blossomParent[b] === -1 && label[b] === 2 &&
+                    (deltaType === -1 || dualVar[b] < delta)) {
+                    delta = dualVar[b];
+                    deltaType = 4;
+                    deltaBlossom = b;
+                }
+            }
+            if (deltaType === -1) {
+                deltaType = 1;
+                delta = Math.max(0, minVertexDual());
+            }
+
+            for (let v = 0; v < nvertex; v++) {
+                if (label[inBlossom[v]] === 1) {
+                    dualVar[v] -= delta;
+                } else if (label[inBlossom[v]] === 2) {
+                    dualVar[v] += delta;
+                }
+            }
+            for (let b = nvertex; b < 2 * nvertex; b++) {
+                if (blossomBase[b] >= 0 && blossomParent[b] === -1) {
+                    if (label[b] === 1) {
+                        dualVar[b] += delta;
+                    } else if (label[b] === 2) {
+                        dualVar[b] -= delta;
+                    }
+                }
+            }
+
+            if (deltaType === 1) {
+                break;
+            } else if (deltaType === 2) {
+                allowEdge[deltaEdge] = true;
+                let [i, j] = edges[deltaEdge];
+                if (label[inBlossom[i]] === 0) [i, j] = [j, i];
+                queue.push(i);
+            } else if (deltaType === 3) {
+                allowEdge[deltaEdge] = true;
+                queue.push(edges[deltaEdge][0]);
+            } else if (deltaType === 4) {
+                expandBlossom(deltaBlossom, false);
+            }
+        }
+
+        if (!augmented) break;
+
+        // End of stage: expand S-blossoms whose dual variable dropped to zero
+        for (let b = nvertex; b < 2 * nvertex; b++) {
+            if (blossomParent[b] === -1 && blossomBase[b] >= 0 && label[b] === 1 && dualVar[b] === 0) {
+                expandBlossom(b, true);
+            }
+        }
+    }
+
+    return mate.map(p => (p >= 0 ? endpoint[p] : -1));
+}
@@ -0,0 +1,157 @@
+/**
+ * Player Import
+ * Reads CSV / TSV files (including CSV saved from Excel) into player records:
+ * delimiter detection, column mapping, and a preview that flags duplicates and invalid rows
+ * before anything is added to the tournament.
+ */
+
+// Importable fields, with header words used to guess the column mapping
+const IMPORT_FIELDS = {
+    name: { label: 'Name', required: true, headers: ['name', 'player', 'player name', 'player id', 'username'] },
+    rating: { label: 'Rating', required: false, headers: ['rating', 'elo', 'rtg', 'fide rating', 'std'] },
+    fideId: { label: 'FIDE / Club ID', required: false, headers: ['fide id', 'fideid', 'fide', 'id', 'member id', 'club id', 'membership'] },
+    federation: { label: 'Federation', required: false, headers: ['federation', 'fed', 'country', 'nation'] },
+    club: { label: 'Club', required: false, headers: ['club', 'team', 'school'] },
+    family: { label: 'Family', required: false, headers: ['family', 'family id', 'household', 'siblings', 'sibling group'] }
+};
+
+/**
+ * Split delimited text into rows of cells (quoted fields may contain delimiters, quotes and newlines)
+ * @param {string} text - File contents
+ * @param {string} delimiter - ',', ';' or '\t'; detected from the first line when omitted
+ * @returns {{rows: Array<Array<string>>, delimiter: string}}
+ */
+function parseDelimitedText(text, delimiter = null) {
+    const clean = text.replace(/^\uFEFF/, '');
+    const sep = delimiter || detectDelimiter(clean);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < clean.length; i++) {
+        const ch = clean[i];
+        if (quoted) {
+            if (ch === '"' && clean[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (ch === sep) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && clean[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell.trim() !== '' || row.length > 0) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+
+    return { rows: rows.filter(r => r.some(c => c !== '')), delimiter: sep };
+}
+
+/**
+ * Pick the delimiter that splits the first line into the most columns
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/)[0] || '';
+    const counts = ['\t', ';', ','].map(sep => [sep, firstLine.split(sep).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {Array<string>} headers
+ * @returns {Object} field -> column index (-1 when not found)
+ */
+function guessImportMapping(headers) {
+    const normalized = headers.map(h => h.toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim());
+    const used = new Set();
+    const mapping = {};
+
+    Object.entries(IMPORT_FIELDS).forEach(([field, def]) => {
+        // Exact header match first, then a header that contains the keyword
+        let index = normalized.findIndex((h, i) => !used.has(i) && def.headers.includes(h));
+        if (index === -1) {
+            index = normalized.findIndex((h, i) => !used.has(i) && def.headers.some(word => word.length > 2 && h.includes(word)));
+        }
+        mapping[field] = index;
+        if (index !== -1) used.add(index);
+    });
+
+    // No recognisable header: assume "name, rating" like the text box
+    if (mapping.name === -1) {
+        mapping.name = 0;
+        if (mapping.rating === -1 && headers.length > 1) mapping.rating = 1;
+    }
+    return mapping;
+}
+
+/**
+ * Check each row before import
+ * @param {Array<Array<string>>} rows - Data rows (header row removed)
+ * @param {Object} mapping - field -> column index (-1 = not imported)
+ * @param {Array<string>} existingIds - Players already in the tournament
+ * @param {number} firstRowNumber - File line number of rows[0] (for messages)
+ * @returns {Array<{rowNumber: number, player: Object, status: string, message: string}>}
+ *          status: 'ok', 'duplicate' or 'invalid'
+ */
+function buildImportPreview(rows, mapping, existingIds = [], firstRowNumber = 1) {
+    const existing = new Set(existingIds);
+    const seen = new Map(); // name -> row number
+    const seenIds = new Map(); // FIDE / club ID -> row number
+    const cellOf = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+
+    return rows.map((row, index) => {
+        const rowNumber = firstRowNumber + index;
+        const player = {
+            id: cellOf(row, 'name'),
+            rating: 1500,
+            fideId: cellOf(row, 'fideId') || null,
+            federation: cellOf(row, 'federation').toUpperCase() || null,
+            club: cellOf(row, 'club') || null,
+            family: cellOf(row, 'family') || null
+        };
+
+        if (!player.id) {
+            return { rowNumber, player, status: 'invalid', message: 'Missing name' };
+        }
+
+        const ratingText = cellOf(row, 'rating');
+        if (ratingText) {
+            const rating = Number(ratingText.replace(/\s/g, ''));
+            if (!Number.isFinite(rating) || rating < 0) {
+                return { rowNumber, player, status: 'invalid', message: `Rating "${ratingText}" is not a number` };
+            }
+            player.rating = Math.round(rating);
+        }
+
+        if (existing.has(player.id)) {
+            return { rowNumber, player, status: 'duplicate', message: 'Already registered' };
+        }
+        if (seen.has(player.id)) {
+            return { rowNumber, player, status: 'duplicate', message: `Same name as row ${seen.get(player.id)}` };
+        }
+        if (player.fideId && seenIds.has(player.fideId)) {
+            return { rowNumber, player, status: 'duplicate', message: `Same ID as row ${seenIds.get(player.fideId)}` };
+        }
+        seen.set(player.id, rowNumber);
+        if (player.fideId) seenIds.set(player.fideId, rowNumber);
+        return { rowNumber, player, status: 'ok', message: '' };
+    });
+}
@@ -0,0 +1,54 @@
+/**
+ * Player Status
+ * Rounds a player is not paired in are still saved, as a bye entry with its type, so the score
+ * follows from the rounds like everything else:
+ * - paired: the pairing bye of an odd field, scored as soon as it is paired (the organiser sets
+ *   its value: 1, ½ or 0, and whether it counts toward tie-breaks)
+ * - half: a requested half-point bye (or a late entry's missed round, if given half a point)
+ * - absent: a zero-point bye (absence, or a late entry's missed round)
+ * Withdrawn players are simply not paired any more and get no entries.
+ */
+
+const BYE_PAIRED = 'paired';
+const BYE_HALF = 'half';
+const BYE_ABSENT = 'absent';
+
+const BYE_POINTS = {
+    [BYE_HALF]: 0.5,
+    [BYE_ABSENT]: 0
+};
+
+const BYE_VALUES = [1, 0.5, 0];
+const DEFAULT_BYE_SETTINGS = { points: 1, countsForTieBreaks: true };
+
+const BYE_LABELS = {
+    [BYE_PAIRED]: 'Bye',
+    [BYE_HALF]: 'Half-point bye',
+    [BYE_ABSENT]: 'Absent'
+};
+
+/**
+ * Points for a bye entry (entries saved before bye types existed are pairing byes)
+ * @param {Object} pairing
+ * @param {Object} settings - The tournament's bye settings { points, countsForTieBreaks }
+ */
+function byePoints(pairing, settings = DEFAULT_BYE_SETTINGS) {
+    const byeType = pairing.byeType || BYE_PAIRED;
+    return byeType === BYE_PAIRED ? settings.points : BYE_POINTS[byeType];
+}
+
+/**
+ * Saved form of a bye the pairing didn't choose (already scored)
+ */
+function unpairedRoundEntry(playerId, byeType) {
+    return {
+        player1Id: playerId,
+        player2Id: null,
+        whiteId: null,
+        blackId: null,
+        bye: true,
+        byeType,
+        resultRecorded: true,
+        result: null
+    };
+}
@@ -0,0 +1,68 @@
+/**
+ * Game Results
+ * Every result a game can be given, player1 (White) first. Besides the played results there are
+ * forfeits (+/-), double forfeits and 0-0. Those count for the score as written, but the players
+ * have not met: the game is left out of opponent lists, colour history and tie-breaks.
+ * An adjourned game (*) has no score yet: the pairing stays open until its result comes in.
+ */
+
+const GAME_RESULTS = {
+    '1-0': { label: '1-0', points: [1, 0], played: true },
+    '0-1': { label: '0-1', points: [0, 1], played: true },
+    '0.5-0.5': { label: '½-½', points: [0.5, 0.5], played: true },
+    '+/-': { label: '+/− (forfeit)', points: [1, 0], played: false },
+    '-/+': { label: '−/+ (forfeit)', points: [0, 1], played: false },
+    '-/-': { label: '−/− (double forfeit)', points: [0, 0], played: false },
+    '0-0': { label: '0-0 (both lose)', points: [0, 0], played: false },
+    '*': { label: 'Adjourned', points: null, played: false }
+};
+
+/**
+ * Check a result before it is saved
+ * @param {string} result
+ */
+function validateResult(result) {
+    if (!Object.prototype.hasOwnProperty.call(GAME_RESULTS, result)) {
+        throw new Error(`Unknown result "${result}". Use one of: ${Object.keys(GAME_RESULTS).join(', ')}`);
+    }
+}
+
+/**
+ * Points for player1 and player2
+ * @param {string} result
+ * @returns {[number, number]}
+ */
+function resultPoints(result) {
+    validateResult(result);
+    return GAME_RESULTS[result].points;
+}
+
+/**
+ * Whether the result is only a marker for a game still to be finished (the pairing stays unrecorded)
+ */
+function isPendingResult(result) {
+    return Boolean(GAME_RESULTS[result]) && GAME_RESULTS[result].points === null;
+}
+
+/**
+ * Whether the game was actually played over the board (false for forfeits and unplayed games)
+ */
+function isPlayedResult(result) {
+    return Boolean(GAME_RESULTS[result] && GAME_RESULTS[result].played);
+}
+
+function resultLabel(result) {
+    return GAME_RESULTS[result] ? GAME_RESULTS[result].label : result;
+}
+
+/**
+ * One player's result as published in tables: 1, ½, 0, + / − for a game won or lost without play,
+ * or * for an adjourned game
+ * @param {number|null} points - null for an adjourned game
+ * @param {boolean} played
+ */
+function resultSymbol(points, played = true) {
+    if (points === null) return '*';
+    if (!played) return points > 0 ? '+' : '−';
+    return points === 0.5 ? '½' : String(points);
+}
@@ -0,0 +1,111 @@
+/**
+ * Round-Robin Schedule
+ * The whole schedule is known before round 1: every player gets a fixed pairing number (by rating
+ * or drawn at random), and the Berger tables give each round's boards and colours from those
+ * numbers. A double round-robin plays the tables twice, the second cycle with colours reversed;
+ * as FIDE recommends, the last two rounds of the first cycle swap places so that nobody gets the same
+ * colour three times in a row where the cycles meet.
+ * Pairing numbers are kept as player IDs, so they don't move when the players list is reordered.
+ */
+
+const PAIRING_NUMBERS_RATING = 'rating';
+const PAIRING_NUMBERS_RANDOM = 'random';
+
+const PAIRING_NUMBER_METHODS = {
+    [PAIRING_NUMBERS_RATING]: 'By rating',
+    [PAIRING_NUMBERS_RANDOM]: 'Random draw'
+};
+
+/**
+ * Rounds in one cycle: odd field n rounds (each player has the bye once), even field n - 1
+ * @param {number} entrants
+ */
+function roundRobinCycleRounds(entrants) {
+    return entrants % 2 === 1 ? entrants : Math.max(1, entrants - 1);
+}
+
+/**
+ * Boards of one round, from the Berger tables (second cycle with colours reversed)
+ * @param {number} entrants - Players (or teams) in the round-robin
+ * @param {number} round - 1-based round number, counting on through the second cycle
+ * @param {number} cycles - 1, or 2 for a double round-robin
+ * @returns {Array<[number, number]>} [white, black] pairing numbers; a number above the field is the bye
+ */
+function roundRobinBoards(entrants, round, cycles = 1) {
+    const size = entrants % 2 === 1 ? entrants + 1 : entrants;
+    const perCycle = roundRobinCycleRounds(entrants);
+    const cycle = Math.floor((round - 1) / perCycle);
+    let bergerRoundNumber = ((round - 1) % perCycle) + 1;
+    if (cycles === 2 && cycle === 0 && perCycle >= 2 && bergerRoundNumber >= perCycle - 1) {
+        bergerRoundNumber = bergerRoundNumber === perCycle ? perCycle - 1 : perCycle;
+    }
+    const boards = bergerRound(size, bergerRoundNumber);
+    return cycle % 2 === 1 ? boards.map(([white, black]) => [black, white]) : boards;
+}
+
+/**
+ * Assign pairing numbers
+ * @param {Array} players - Tournament players
+ * @param {string} method - PAIRING_NUMBERS_RATING (highest first, registration order among equal
+ *        ratings) or PAIRING_NUMBERS_RANDOM
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {string[]} Player IDs, pairing number 1 first
+ */
+function drawPairingNumbers(players, method = PAIRING_NUMBERS_RATING, random = Math.random) {
+    if (!PAIRING_NUMBER_METHODS[method]) throw new Error(`Unknown pairing number method: ${method}`);
+    const ids = players
+        .map((player, index) => ({ player, index }))
+        .sort((a, b) => (method === PAIRING_NUMBERS_RATING ? b.player.rating - a.player.rating : 0) || a.index - b.index)
+        .map(entry => entry.player.id);
+    if (method === PAIRING_NUMBERS_RANDOM) {
+        for (let i = ids.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [ids[i], ids[j]] = [ids[j], ids[i]];
+        }
+    }
+    return ids;
+}
+
+/**
+ * Every round of the round-robin
+ * @param {string[]} ids - Entrant IDs in pairing-number order
+ * @param {number} cycles - 1, or 2 for a double round-robin
+ * @returns {Array<{round, cycle, boards: Array<{board, whiteId, blackId}>, byeId: string|null}>}
+ */
+function roundRobinSchedule(ids, cycles = 1) {
+    const n = ids.length;
+    const rounds = [];
+    if (n < 2) return rounds;
+    const perCycle = roundRobinCycleRounds(n);
+    for (let round = 1; round <= perCycle * cycles; round++) {
+        const boards = [];
+        let byeId = null;
+        roundRobinBoards(n, round, cycles).forEach(([whiteNum, blackNum]) => {
+            if (whiteNum > n || blackNum > n) {
+                byeId = ids[Math.min(whiteNum, blackNum) - 1];
+                return;
+            }
+            boards.push({ board: boards.length + 1, whiteId: ids[whiteNum - 1], blackId: ids[blackNum - 1] });
+        });
+        rounds.push({ round, cycle: Math.ceil(round / perCycle), boards, byeId });
+    }
+    checkScheduleColors(rounds);
+    return rounds;
+}
+
+/**
+ * Reject a schedule that gives anyone the same colour three times in a row (a bye doesn't break a run)
+ * @param {Array} schedule - From roundRobinSchedule()
+ */
+function checkScheduleColors(schedule) {
+    const history = new Map();
+    schedule.forEach(round => round.boards.forEach(b => {
+        [[b.whiteId, WHITE], [b.blackId, BLACK]].forEach(([id, color]) => {
+            const colors = history.get(id) || '';
+            if (colors.endsWith(color + color)) {
+                throw new Error(`The schedule gives ${id} ${color === WHITE ? 'White' : 'Black'} three times in a row (round ${round.round})`);
+            }
+            history.set(id, colors + color);
+        });
+    }));
+}
@@ -0,0 +1,104 @@
+/**
+ * Tournament Storage
+ * Keeps tournament snapshots in localStorage so a page refresh doesn't lose an event.
+ * Several tournaments (e.g. a junior and an open section) can be saved side by side.
+ */
+
+const STORAGE_PREFIX = 'chessTournament:';
+const STORAGE_INDEX_KEY = `${STORAGE_PREFIX}index`;
+const STORAGE_ACTIVE_KEY = `${STORAGE_PREFIX}active`;
+
+class TournamentStorage {
+    /**
+     * @param {Storage} backend - Defaults to window.localStorage
+     */
+    constructor(backend = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.backend = backend;
+    }
+
+    /**
+     * Saved tournaments, most recently saved first
+     * @returns {Array<{id: string, name: string, savedAt: string, players: number, round: number, pairingSystem: string}>}
+     */
+    list() {
+        return this.readJson(STORAGE_INDEX_KEY, [])
+            .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+    }
+
+    /**
+     * Save a tournament and mark it as the active one
+     * @param {Tournament} tournament
+     */
+    save(tournament) {
+        if (!this.backend) return false;
+        const snapshot = tournament.toSnapshot();
+        const key = `${STORAGE_PREFIX}${snapshot.id}`;
+        const index = this.readJson(STORAGE_INDEX_KEY, []).filter(entry => entry.id !== snapshot.id);
+        index.push({
+            id: snapshot.id,
+            name: snapshot.name,
+            savedAt: snapshot.savedAt,
+            players: snapshot.players.length,
+            round: snapshot.currentRound,
+            pairingSystem: snapshot.pairingSystem
+        });
+        try {
+            const previous = this.backend.getItem(key);
+            this.backend.setItem(key, JSON.stringify(snapshot));
+            try {
+                this.backend.setItem(STORAGE_INDEX_KEY, JSON.stringify(index));
+            } catch (error) {
+                // Put the old snapshot back so the saved list still describes what is stored
+                if (previous === null) this.backend.removeItem(key);
+                else this.backend.setItem(key, previous);
+                throw error;
+            }
+            this.backend.setItem(STORAGE_ACTIVE_KEY, snapshot.id);
+        } catch (error) {
+            // Quota exceeded or storage disabled (private mode): keep running in memory
+            console.error('Could not save tournament:', error);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Load a saved snapshot
+     * @param {string} id - Tournament ID
+     * @returns {Object|null} Snapshot, or null when not found
+     */
+    load(id) {
+        return this.readJson(`${STORAGE_PREFIX}${id}`, null);
+    }
+
+    /**
+     * Delete a saved tournament
+     * @param {string} id - Tournament ID
+     */
+    remove(id) {
+        if (!this.backend) return;
+        this.backend.removeItem(`${STORAGE_PREFIX}${id}`);
+        const index = this.readJson(STORAGE_INDEX_KEY, []).filter(entry => entry.id !== id);
+        this.backend.setItem(STORAGE_INDEX_KEY, JSON.stringify(index));
+        if (this.activeId() === id) this.backend.removeItem(STORAGE_ACTIVE_KEY);
+    }
+
+    /**
+     * ID of the tournament that was open last
+     */
+    activeId() {
+        return this.backend ? this.backend.getItem(STORAGE_ACTIVE_KEY) : null;
+    }
+
+    readJson(key, fallback) {
+        if (!this.backend) return fallback;
+        const raw = this.backend.getItem(key);
+        if (!raw) return fallback;
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.error(`Corrupt saved data in ${key}:`, error);
+            return fallback;
+        }
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * Swiss Pairing Engine
+ * Pairs a round without rematches: players are ranked by score then rating, paired with the
+ * nearest available opponent, and any part of the field that can't be completed that way is
+ * re-paired with a weighted matching that floats players up or down between score groups.
+ * Pairs where both players need the same colour are avoided the same way as rematches.
+ * Avoidance rules (same club, federation, family): a hard conflict is avoided like a rematch,
+ * a soft one only while another opponent in the same score group is free.
+ */
+
+class SwissPairingEngine {
+    /**
+     * @param {Object} options
+     * @param {Map<string, Set<string>>} options.opponents - Player ID -> IDs of everyone already played
+     * @param {Map<string, number>} options.previousByes - Player ID -> byes already given
+     * @param {boolean} options.colors - Enforce colour rules and return pairs as [white, black]
+     * @param {Function} options.conflict - (a, b) -> null or { hard: boolean, reason: string } for players who shouldn't meet
+     */
+    constructor(options = {}) {
+        this.opponents = options.opponents || new Map();
+        this.previousByes = options.previousByes || new Map();
+        this.colors = options.colors !== false;
+        this.conflict = options.conflict || (() => null);
+    }
+
+    /**
+     * Check whether two players have already met
+     */
+    havePlayed(a, b) {
+        const played = this.opponents.get(a.id);
+        return played ? played.has(b.id) : false;
+    }
+
+    /**
+     * Check whether two players may be paired (no rematch, no colour rule broken)
+     */
+    canMeet(a, b) {
+        return !this.havePlayed(a, b) && !(this.colors && colorsClash(a, b)) && !this.hardConflict(a, b);
+    }
+
+    hardConflict(a, b) {
+        const conflict = this.conflict(a, b);
+        return Boolean(conflict && conflict.hard);
+    }
+
+    softConflict(a, b) {
+        const conflict = this.conflict(a, b);
+        return Boolean(conflict && !conflict.hard);
+    }
+
+    /**
+     * Pair a round
+     * @param {Array} players - Player objects ({ id, score, rating, colors })
+     * @returns {{pairs: Array<[Object, Object]>, byePlayer: Object|null, rematches: Array<[Object, Object]>, warnings: Array<string>}}
+     */
+    pair(players) {
+        const result = this.pairRanked(players);
+        result.pairs.forEach(([a, b]) => {
+            const conflict = this.conflict(a, b);
+            if (!conflict) return;
+            result.warnings.push(conflict.hard
+                ? `${a.id} vs ${b.id} breaks the rule "${conflict.reason}": no other pairing was possible.`
+                : `${a.id} vs ${b.id} breaks the soft rule "${conflict.reason}": no other opponent in their score group was free.`);
+        });
+        if (this.colors) {
+            result.pairs = result.pairs.map(([a, b], board) => allocateColors(a, b, board));
+        }
+        return result;
+    }
+
+    /**
+     * Pair a round, each pair ordered [higher-ranked, lower-ranked]
+     */
+    pairRanked(players) {
+        const ranked = [...players].sort((a, b) => {
+            if (b.score !== a.score) return b.score - a.score;
+            return b.rating - a.rating;
+        });
+        const warnings = [];
+
+        if (ranked.length % 2 === 0) {
+            const result = this.pairField(ranked, warnings);
+            return { byePlayer: null, warnings, ...result };
+        }
+
+        // Bye: lowest-ranked player without a bye whose removal leaves a field that pairs cleanly
+        const candidates = ranked.filter(p => !this.previousByes.get(p.id)).reverse();
+        for (const candidate of candidates) {
+            const rest = ranked.filter(p => p !== candidate);
+            const pairs = this.pairWithoutRematches(rest);
+            if (pairs) {
+                return { pairs, byePlayer: candidate, rematches: [], warnings };
+            }
+        }
+
+        let byePlayer = candidates[0];
+        if (!byePlayer) {
+            byePlayer = ranked[ranked.length - 1];
+            warnings.push(`Every player has already had a bye; ${byePlayer.id} receives a second one.`);
+        }
+        const result = this.pairField(ranked.filter(p => p !== byePlayer), warnings);
+        return { byePlayer, warnings, ...result };
+    }
+
+    /**
+     * Pair an even field, falling back to the fewest possible broken rules when none-free is impossible
+     */
+    pairField(ranked, warnings) {
+        const pairs = this.pairWithoutRematches(ranked);
+        if (pairs) return { pairs, rematches: [] };
+
+        const forced = this.matchPlayers(ranked, true);
+        const rematches = forced.filter(([a, b]) => this.havePlayed(a, b));
+        rematches.forEach(([a, b]) => {
+            const exhausted = [a, b].find(p => ranked.every(o => o === p || this.havePlayed(p, o)));
+            const reason = exhausted
+                ? `${exhausted.id} has already played every other available player`
+                : `no rematch-free pairing exists for the ${ranked.length} players in this round`;
+            warnings.push(`Rematch ${a.id} vs ${b.id}: ${reason}.`);
+        });
+        forced.filter(([a, b]) => !this.havePlayed(a, b) && this.colors && colorsClash(a, b)).forEach(([a, b]) => {
+            const color = colorPreference(a).color === WHITE ? 'White' : 'Black';
+            warnings.push(`Colour rule broken for ${a.id} vs ${b.id}: both must have ${color}, no other pairing was possible.`);
+        });
+        return { pairs: forced, rematches };
+    }
+
+    /**
+     * Pair an even field without rematches or colour clashes, or return null when that is impossible
+     */
+    pairWithoutRematches(ranked) {
+        if (ranked.length === 0) return [];
+
+        const { pairs, leftover } = this.pairGreedy(ranked);
+        if (leftover.length === 0) return pairs;
+
+        // Re-pair a growing tail of the ranking (which holds the leftovers) with a weighted matching
+        const rankOf = new Map(ranked.map((p, i) => [p.id, i]));
+        let window = Math.max(4, leftover.length * 2);
+        for (;;) {
+            const start = Math.max(0, ranked.length - window);
+            const kept = pairs.filter(([a, b]) => rankOf.get(a.id) < start && rankOf.get(b.id) < start);
+            const keptIds = new Set(kept.flat().map(p => p.id));
+            const tail = ranked.filter(p => !keptIds.has(p.id));
+            const tailPairs = this.matchPlayers(tail, false);
+            if (tailPairs.length * 2 === tail.length) {
+                return [...kept, ...tailPairs].sort((x, y) =>
+                    Math.min(rankOf.get(x[0].id), rankOf.get(x[1].id)) - Math.min(rankOf.get(y[0].id), rankOf.get(y[1].id))
+                );
+            }
+            if (start === 0) return null;
+            window *= 2;
+        }
+    }
+
+    /**
+     * Pair each player, top down, with the next-ranked player they haven't met (same score group first)
+     */
+    pairGreedy(ranked) {
+        const pairs = [];
+        const leftover = [];
+        const paired = new Array(ranked.length).fill(false);
+
+        for (let i = 0; i < ranked.length; i++) {
+            if (paired[i]) continue;
+            paired[i] = true;
+            let j = i + 1;
+            while (j < ranked.length && (paired[j] || !this.canMeet(ranked[i], ranked[j]))) j++;
+            if (j < ranked.length && this.softConflict(ranked[i], ranked[j])) {
+                // Soft rule: take the next free opponent with the same score instead, if there is one
+                let k = j + 1;
+                while (k < ranked.length && ranked[k].score === ranked[j].score
+                    && (paired[k] || !this.canMeet(ranked[i], ranked[k]) || this.softConflict(ranked[i], ranked[k]))) k++;
+                if (k < ranked.length && ranked[k].score === ranked[j].score) j = k;
+            }
+            if (j < ranked.length) {
+                paired[j] = true;
+                pairs.push([ranked[i], ranked[j]]);
+            } else {
+                leftover.push(ranked[i]);
+            }
+        }
+        return { pairs, leftover };
+    }
+
+    /**
+     * Weighted matching over a ranked list.
+     * Score differences dominate the weight (so players float as little as possible),
+     * then rank distance (so opponents have similar ratings). A soft conflict costs more than any rank
+     * distance but less than floating. Rematch, colour-clash and hard-conflict edges are only added
+     * when allowRematches is set and cost more than any other choice (a rematch most).
+     * @returns {Array<[Object, Object]>} Pairs found (may not cover everyone when rematches are not allowed)
+     */
+    matchPlayers(ranked, allowRematches) {
+        const n = ranked.length;
+        const maxScoreGap = Math.max(1, (ranked[0].score - ranked[n - 1].score) * 2);
+        const pairCost = n * n + 1;
+        const softCost = n;
+        const clashCost = (maxScoreGap * maxScoreGap * pairCost + n + softCost) * (n / 2 + 1);
+        const rematchCost = clashCost * (n / 2 + 1);
+        const base = rematchCost + 2 * clashCost + maxScoreGap * maxScoreGap * pairCost + n + softCost + 1;
+
+        const edges = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const rematch = this.havePlayed(ranked[i], ranked[j]);
+                const clash = this.colors && colorsClash(ranked[i], ranked[j]);
+                const conflict = this.conflict(ranked[i], ranked[j]);
+                const hard = Boolean(conflict && conflict.hard);
+                if ((rematch || clash || hard) && !allowRematches) continue;
+                const scoreGap = Math.round(Math.abs(ranked[i].score - ranked[j].score) * 2);
+                const weight = base - scoreGap * scoreGap * pairCost - (j - i) -
+                    (rematch ? rematchCost : 0) - (clash ? clashCost : 0) - (hard ? clashCost : 0) -
+                    (conflict && !hard ? softCost : 0);
+                edges.push([i, j, weight]);
+            }
+        }
+
+        const mate = maxWeightMatching(edges, true);
+        const pairs = [];
+        mate.forEach((m, i) => {
+            if (m > i) pairs.push([ranked[i], ranked[m]]);
+        });
+        return pairs;
+    }
+}
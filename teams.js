@@ -0,0 +1,158 @@
+/**
+ * Team Events
+ * Teams have an ordered squad: the first players are the regular board order, the rest reserves.
+ * A team match is one game per board; the team named first has White on the odd boards.
+ * A Scheveningen is a single pairing of two teams in which every player meets every player of the
+ * other team, one round per board, with colours that change from round to round.
+ * Teams score match points (win 2, draw 1, loss 0, from the board points) and game points
+ * (the board points themselves); either can rank the teams and drive the Swiss pairing.
+ */
+
+const TEAM_SCORING_MATCH_POINTS = 'match-points';
+const TEAM_SCORING_GAME_POINTS = 'game-points';
+
+const TEAM_SCORING_LABELS = {
+    [TEAM_SCORING_MATCH_POINTS]: 'Match points',
+    [TEAM_SCORING_GAME_POINTS]: 'Game points'
+};
+
+const TEAM_MATCH_WIN = 2;
+const TEAM_MATCH_DRAW = 1;
+
+/**
+ * Read teams from text, one team per line: "Team name: Player1, Player2, ..." in board order
+ * @param {string} text
+ * @returns {Array<{id: string, players: Array<string>}>}
+ */
+function parseTeamLines(text) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const colon = line.indexOf(':');
+            if (colon === -1) throw new Error(`Team line needs "Team name: players": ${line}`);
+            return {
+                id: line.slice(0, colon).trim(),
+                players: line.slice(colon + 1).split(',').map(name => name.trim()).filter(Boolean)
+            };
+        });
+}
+
+/**
+ * Colour of the first-named team on a board (1-based): White on odd boards, Black on even
+ */
+function teamBoardColor(board) {
+    return board % 2 === 1 ? WHITE : BLACK;
+}
+
+/**
+ * Scheveningen colour of the first-named team on a board (1-based) in a round (1-based)
+ * Even number of boards: White on boards 1-2, Black on 3-4, … and the other way round in the next
+ * round, so everyone ends with as many Whites as Blacks; odd: White on every board in odd rounds,
+ * so everyone alternates. Nobody gets the same colour three times in a row.
+ */
+function scheveningenHomeColor(boards, round, board) {
+    const pair = boards % 2 === 0 ? Math.floor((board - 1) / 2) : 0;
+    return (round - 1 + pair) % 2 === 0 ? WHITE : BLACK;
+}
+
+/**
+ * Whether the first-named team has White in one of the match's games (from the lineups, so it
+ * also holds for Scheveningen colours)
+ */
+function homeHasWhite(match, game) {
+    return (match.lineups[match.homeId] || []).includes(game.whiteId);
+}
+
+/**
+ * Check a match lineup: players of the team, in squad order, one per board
+ * @param {Object} team - { id, players }
+ * @param {Array<string>} lineup - Player IDs, board 1 first
+ * @param {number} boards
+ */
+function validateLineup(team, lineup, boards) {
+    if (lineup.length !== boards) {
+        throw new Error(`${team.id} must field exactly ${boards} players (got ${lineup.length})`);
+    }
+    const positions = lineup.map(id => team.players.indexOf(id));
+    const stranger = lineup.find((id, i) => positions[i] === -1);
+    if (stranger) throw new Error(`${stranger} is not in the squad of ${team.id}`);
+    if (positions.some((pos, i) => i > 0 && pos <= positions[i - 1])) {
+        throw new Error(`${team.id} must keep its board order: a reserve can only replace a player, not move up past one`);
+    }
+}
+
+/**
+ * Match points for a team bye: a match win, draw or loss as the bye settings score a player's
+ * pairing bye (1, ½ or 0). No board is played, so a bye earns no game points.
+ * @param {Object} byeSettings - See DEFAULT_BYE_SETTINGS
+ */
+function teamByeMatchPoints(byeSettings = DEFAULT_BYE_SETTINGS) {
+    return TEAM_MATCH_WIN * byeSettings.points;
+}
+
+/**
+ * Match and game points for every team from the saved rounds
+ * A match counts for match points once every board has a result; game points count as they come in.
+ * A bye scores match points only (see teamByeMatchPoints).
+ * @param {Array} rounds - Tournament rounds with teamMatches
+ * @param {Array} teams
+ * @param {Object} byeSettings - See DEFAULT_BYE_SETTINGS
+ * @returns {Map<string, {matchPoints, gamePoints, wins, draws, losses, played, opponents: Set, colors: Array}>}
+ */
+function computeTeamStats(rounds, teams, byeSettings = DEFAULT_BYE_SETTINGS) {
+    const stats = new Map(teams.map(t => [t.id, {
+        matchPoints: 0, gamePoints: 0, wins: 0, draws: 0, losses: 0, played: 0, byes: 0, opponents: new Set(), colors: []
+    }]));
+
+    [...rounds].sort((a, b) => a.round - b.round).forEach(roundData => {
+        (roundData.teamMatches || []).forEach((match, index) => {
+            const home = stats.get(match.homeId);
+            const away = match.awayId ? stats.get(match.awayId) : null;
+            if (!home) return;
+            if (!match.awayId) {
+                const points = teamByeMatchPoints(byeSettings);
+                home.byes++;
+                home.matchPoints += points;
+                if (points === TEAM_MATCH_WIN) home.wins++;
+                else if (points === TEAM_MATCH_DRAW) home.draws++;
+                else home.losses++;
+                return;
+            }
+            if (!away) return;
+            home.opponents.add(match.awayId);
+            away.opponents.add(match.homeId);
+            home.colors.push(WHITE);
+            away.colors.push(BLACK);
+
+            const games = roundData.pairings.filter(p => p.teamMatch === index);
+            let homePoints = 0;
+            let awayPoints = 0;
+            games.filter(p => p.resultRecorded).forEach(p => {
+                const [white, black] = resultPoints(p.result);
+                const homeIsWhite = homeHasWhite(match, p);
+                homePoints += homeIsWhite ? white : black;
+                awayPoints += homeIsWhite ? black : white;
+            });
+            home.gamePoints += homePoints;
+            away.gamePoints += awayPoints;
+
+            if (games.length === 0 || games.some(p => !p.resultRecorded)) return;
+            home.played++;
+            away.played++;
+            if (homePoints === awayPoints) {
+                home.matchPoints += TEAM_MATCH_DRAW;
+                away.matchPoints += TEAM_MATCH_DRAW;
+                home.draws++;
+                away.draws++;
+            } else {
+                const [winner, loser] = homePoints > awayPoints ? [home, away] : [away, home];
+                winner.matchPoints += TEAM_MATCH_WIN;
+                winner.wins++;
+                loser.losses++;
+            }
+        });
+    });
+    return stats;
+}
@@ -0,0 +1,189 @@
+/**
+ * Tie-Break Engine
+ * Computes tie-breaks from the recorded rounds (never from the mutable player counters)
+ * and ranks players by score, then by the organiser's ordered list of tie-breaks, then by rating.
+ */
+
+const TIE_BREAKS = {
+    'buchholz': { label: 'Buchholz', short: 'Buch' },
+    'buchholz-cut1': { label: 'Buchholz Cut-1', short: 'BuchC1' },
+    'median-buchholz': { label: 'Median Buchholz', short: 'MedB' },
+    'sonneborn-berger': { label: 'Sonneborn-Berger', short: 'SB' },
+    'progressive': { label: 'Progressive Score', short: 'Prog' },
+    'wins': { label: 'Number of Wins', short: 'Wins' },
+    'direct-encounter': { label: 'Direct Encounter', short: 'DE' }
+};
+
+const DEFAULT_TIE_BREAKS = ['buchholz-cut1', 'buchholz', 'sonneborn-berger'];
+
+class TieBreakEngine {
+    /**
+     * @param {Array} rounds - Tournament rounds ({ round, pairings })
+     * @param {Array} players - Tournament players
+     * @param {Object} byeSettings - { points, countsForTieBreaks } for the pairing bye (see player-status.js)
+     */
+    constructor(rounds, players, byeSettings = DEFAULT_BYE_SETTINGS) {
+        this.players = players;
+        this.byeSettings = byeSettings;
+        this.games = new Map(players.map(p => [p.id, []]));
+        this.collectGames(rounds);
+        this.scores = new Map(players.map(p => [p.id, this.totalScore(p.id)]));
+        // Scores the tie-breaks work with: without the pairing bye if the organiser left it out
+        this.tieBreakScores = new Map(players.map(p => [p.id, this.totalScore(p.id, true)]));
+    }
+
+    /**
+     * Build each player's game list from the recorded results
+     * Game: { round, opponentId (null for a bye, forfeit or unplayed game), points, pairingBye }
+     */
+    collectGames(rounds) {
+        const add = (id, game) => {
+            if (this.games.has(id)) this.games.get(id).push(game);
+        };
+
+        rounds.forEach(roundData => {
+            roundData.pairings.forEach(p => {
+                if (!p.resultRecorded) return;
+                if (!p.player2Id) {
+                    add(p.player1Id, {
+                        round: roundData.round,
+                        opponentId: null,
+                        points: byePoints(p, this.byeSettings),
+                        pairingBye: (p.byeType || BYE_PAIRED) === BYE_PAIRED
+                    });
+                    return;
+                }
+                let points1;
+                let points2;
+                if (p.knockout) {
+                    points1 = p.winnerId === p.player1Id ? 1 : 0;
+                    points2 = p.winnerId === p.player2Id ? 1 : 0;
+                } else {
+                    [points1, points2] = resultPoints(p.result);
+                }
+                // The points of a forfeit count, but not the opponent
+                const played = p.knockout ? !p.walkover : isPlayedResult(p.result);
+                add(p.player1Id, { round: roundData.round, opponentId: played ? p.player2Id : null, points: points1 });
+                add(p.player2Id, { round: roundData.round, opponentId: played ? p.player1Id : null, points: points2 });
+            });
+        });
+    }
+
+    totalScore(id, forTieBreaks = false) {
+        return this.tieBreakGames(id, forTieBreaks).reduce((sum, g) => sum + g.points, 0);
+    }
+
+    /**
+     * A player's games, leaving out the pairing bye for tie-breaks when it doesn't count toward them
+     */
+    tieBreakGames(id, forTieBreaks = true) {
+        const games = this.games.get(id) || [];
+        if (!forTieBreaks || this.byeSettings.countsForTieBreaks) return games;
+        return games.filter(g => !g.pairingBye);
+    }
+
+    /**
+     * Scores of the opponents actually played (byes excluded)
+     */
+    opponentScores(id) {
+        return this.games.get(id)
+            .filter(g => g.opponentId)
+            .map(g => this.tieBreakScores.get(g.opponentId) || 0);
+    }
+
+    /**
+     * Compute a single tie-break value for a player
+     * @param {string} key - One of TIE_BREAKS
+     * @param {string} id - Player ID
+     * @param {Set<string>} group - Players tied with this one (used by direct encounter)
+     */
+    compute(key, id, group = new Set()) {
+        const games = this.games.get(id) || [];
+        const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+        switch (key) {
+            case 'buchholz':
+                return sum(this.opponentScores(id));
+            case 'buchholz-cut1': {
+                const scores = this.opponentScores(id).sort((a, b) => a - b);
+                return sum(scores.slice(1));
+            }
+            case 'median-buchholz': {
+                const scores = this.opponentScores(id).sort((a, b) => a - b);
+                return sum(scores.slice(1, -1));
+            }
+            case 'sonneborn-berger':
+                return sum(games
+                    .filter(g => g.opponentId)
+                    .map(g => g.points * (this.tieBreakScores.get(g.opponentId) || 0)));
+            case 'progressive': {
+                let running = 0;
+                return sum([...this.tieBreakGames(id)].sort((a, b) => a.round - b.round).map(g => (running += g.points)));
+            }
+            case 'wins':
+                return games.filter(g => g.opponentId && g.points === 1).length;
+            case 'direct-encounter': {
+                // Only decides when every tied player has met every other
+                const ids = [...group];
+                const allMet = ids.every(a => ids.every(b =>
+                    a === b || (this.games.get(a) || []).some(g => g.opponentId === b)
+                ));
+                if (!allMet) return 0;
+                return sum(games.filter(g => group.has(g.opponentId)).map(g => g.points));
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Rank players: score, then each tie-break in order (applied only inside tied groups), then rating
+     * @param {Array<string>} order - Tie-break keys
+     * @returns {Array<{player: Object, score: number, tieBreaks: Object}>}
+     */
+    rank(order) {
+        const entries = this.players.map(player => ({
+            player,
+            score: this.scores.get(player.id),
+            tieBreaks: {}
+        }));
+
+        let groups = [entries.sort((a, b) => b.score - a.score)];
+        groups = this.splitGroups(groups, e => e.score);
+
+        order.forEach(key => {
+            const next = [];
+            groups.forEach(group => {
+                const ids = new Set(group.map(e => e.player.id));
+                group.forEach(e => {
+                    e.tieBreaks[key] = this.compute(key, e.player.id, ids);
+                });
+                group.sort((a, b) => b.tieBreaks[key] - a.tieBreaks[key]);
+                next.push(...this.splitGroups([group], e => e.tieBreaks[key]));
+            });
+            groups = next;
+        });
+
+        groups.forEach(group => group.sort((a, b) => b.player.rating - a.player.rating));
+        return groups.flat();
+    }
+
+    /**
+     * Split sorted groups wherever the value changes
+     */
+    splitGroups(groups, valueOf) {
+        const result = [];
+        groups.forEach(group => {
+            let current = [];
+            group.forEach(e => {
+                if (current.length > 0 && valueOf(current[0]) !== valueOf(e)) {
+                    result.push(current);
+                    current = [];
+                }
+                current.push(e);
+            });
+            if (current.length > 0) result.push(current);
+        });
+        return result;
+    }
+}
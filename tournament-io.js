@@ -0,0 +1,295 @@
+/**
+ * Tournament Export / Import
+ * Whole-tournament files: our own JSON (a Tournament snapshot) and FIDE's TRF-16
+ * Tournament Report File, the text format rating officers and other pairing programs read.
+ */
+
+const JSON_EXPORT_FORMAT = 'chess-tournament';
+
+// TRF result codes of the White and Black lines <-> results that aren't a plain win, draw or loss
+const TRF_UNPLAYED_RESULTS = {
+    '+/-': ['+', '-'],
+    '-/+': ['-', '+'],
+    '-/-': ['-', '-'],
+    '0-0': ['0', '0']
+};
+
+// TRF 092 (tournament type) <-> pairing system
+const TRF_SYSTEM_NAMES = {
+    'swiss': 'Swiss System',
+    'round-robin': 'Round Robin',
+    'knockout': 'Knockout',
+    'double-elimination': 'Double Elimination',
+    'scheveningen': 'Scheveningen'
+};
+
+/**
+ * Export the complete tournament (players, rounds, colours, results) as JSON
+ * @param {Tournament} tournament
+ * @returns {string}
+ */
+function exportTournamentJson(tournament) {
+    return JSON.stringify({ format: JSON_EXPORT_FORMAT, ...tournament.toSnapshot() }, null, 2);
+}
+
+/**
+ * Starting ranks for TRF: rating order, registration order among equal ratings
+ * @returns {Map<string, number>} Player ID -> 1-based starting rank
+ */
+function trfStartingRanks(players) {
+    const ordered = players
+        .map((player, index) => ({ player, index }))
+        .sort((a, b) => b.player.rating - a.player.rating || a.index - b.index);
+    return new Map(ordered.map((entry, i) => [entry.player.id, i + 1]));
+}
+
+/**
+ * One player's 10-character TRF block for a round: opponent rank, colour, result
+ */
+function trfRoundBlock(playerId, roundData, ranks) {
+    const pairing = roundData && roundData.pairings.find(p => p.player1Id === playerId || p.player2Id === playerId);
+    if (!pairing) return '0000 - Z'; // not paired this round: zero-point bye
+    if (!pairing.player2Id) {
+        if (!pairing.resultRecorded) return '0000 -  ';
+        // Pairing-allocated bye (U, worth whatever the tournament gives for it), or a requested
+        // half-point (H) or zero-point (Z) bye
+        const byeType = pairing.byeType || BYE_PAIRED;
+        return `0000 - ${byeType === BYE_PAIRED ? 'U' : byeType === BYE_HALF ? 'H' : 'Z'}`;
+    }
+
+    const isPlayer1 = pairing.player1Id === playerId;
+    const opponentId = isPlayer1 ? pairing.player2Id : pairing.player1Id;
+    // Knockout games have no colours; player1 is listed as White
+    const isWhite = pairing.whiteId ? pairing.whiteId === playerId : isPlayer1;
+
+    let result = ' '; // no result yet; TRF has no code for an adjourned game either
+    if (pairing.resultRecorded) {
+        if (pairing.knockout) {
+            const won = pairing.winnerId === playerId;
+            result = pairing.walkover ? (won ? '+' : '-') : (won ? '1' : '0');
+        } else if (TRF_UNPLAYED_RESULTS[pairing.result]) {
+            result = TRF_UNPLAYED_RESULTS[pairing.result][isPlayer1 ? 0 : 1];
+        } else {
+            const [score1, score2] = pairing.result.split('-').map(Number);
+            const own = isPlayer1 ? score1 : score2;
+            const other = isPlayer1 ? score2 : score1;
+            result = own > other ? '1' : own < other ? '0' : '=';
+        }
+    }
+    return `${String(ranks.get(opponentId) || 0).padStart(4, '0')} ${isWhite ? 'w' : 'b'} ${result}`;
+}
+
+/**
+ * Export the tournament as a TRF-16 report
+ * @param {Tournament} tournament
+ * @returns {string}
+ */
+function exportTrf(tournament) {
+    if (tournament.arena) {
+        throw new Error('An arena has no rounds for a TRF report. Export JSON instead.');
+    }
+    // A round-robin's starting ranks are its pairing numbers
+    const ranks = tournament.pairingSystem === 'round-robin' && tournament.teams.length === 0
+        ? new Map(tournament.getPairingNumbers().map((id, i) => [id, i + 1]))
+        : trfStartingRanks(tournament.players);
+    const standings = tournament.getStandings('score');
+    const places = new Map(standings.map(entry => [entry.id, entry.rank]));
+    const rounds = [...tournament.rounds].sort((a, b) => a.round - b.round);
+    const ratedCount = tournament.players.filter(p => p.rating > 0).length;
+
+    const lines = [
+        `012 ${tournament.name}`,
+        `062 ${tournament.players.length}`,
+        `072 ${ratedCount}`,
+        `092 ${TRF_SYSTEM_NAMES[tournament.pairingSystem] || tournament.pairingSystem}`,
+        `XXR ${tournament.getTotalRounds()}`
+    ];
+
+    [...tournament.players]
+        .sort((a, b) => ranks.get(a.id) - ranks.get(b.id))
+        .forEach(player => {
+            // Fixed columns per the TRF-16 layout (1-based): rank 5-8, name 15-47, rating 49-52,
+            // federation 54-56, FIDE ID 58-68, points 81-84, place 86-89, rounds from 92
+            let line = '001 '
+                + String(ranks.get(player.id)).padStart(4) + ' '
+                + ' '.padEnd(4) + ' '
+                + player.id.slice(0, 33).padEnd(33) + ' '
+                + String(Math.round(player.rating) || '').padStart(4) + ' '
+                + (player.federation || '').slice(0, 3).padEnd(3) + ' '
+                + String(player.fideId || '').slice(0, 11).padStart(11) + ' '
+                + ''.padEnd(10) + ' '
+                + player.score.toFixed(1).padStart(4) + ' '
+                + String(places.get(player.id)).padStart(4);
+            rounds.forEach(roundData => {
+                line += `  ${trfRoundBlock(player.id, roundData, ranks)}`;
+            });
+            lines.push(line.trimEnd());
+        });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a TRF-16 report into a snapshot that Tournament.restore() accepts
+ * Forfeits (+/-), double forfeits and 0-0 are kept as such; half-point (H) and zero-point (Z) byes are kept as bye entries.
+ * Double elimination reports come back as plain games: the bracket itself is only kept in JSON.
+ * A round-robin's starting ranks become its pairing numbers, so the schedule carries on after import.
+ * @param {string} text - TRF file contents
+ * @returns {Object} Tournament snapshot
+ */
+function parseTrf(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const entries = [];
+    let name = 'Imported Tournament';
+    let system = 'swiss';
+    let plannedRounds = null;
+
+    lines.forEach(line => {
+        const code = line.slice(0, 3);
+        const value = line.slice(4).trim();
+        if (code === '012' && value) name = value;
+        if (code === '092') {
+            const lower = value.toLowerCase();
+            if (lower.includes('round') || lower.includes('robin')) system = 'round-robin';
+            else if (lower.includes('knock')) system = 'knockout';
+        }
+        if (code === 'XXR') plannedRounds = parseInt(value, 10) || null;
+        if (code !== '001') return;
+
+        const rank = parseInt(line.slice(4, 8), 10);
+        if (!rank) throw new Error(`Invalid TRF player line: "${line.trim()}"`);
+        const results = [];
+        for (let start = 91; start < line.length; start += 10) {
+            const block = line.slice(start, start + 8);
+            if (!block.trim()) {
+                results.push(null);
+                continue;
+            }
+            results.push({
+                opponent: parseInt(block.slice(0, 4), 10) || 0,
+                color: block.charAt(5).toLowerCase(),
+                result: block.charAt(7).toUpperCase() || ' '
+            });
+        }
+        entries.push({
+            rank,
+            name: line.slice(14, 47).trim() || `Player ${rank}`,
+            rating: parseInt(line.slice(48, 52), 10) || 0,
+            federation: line.slice(53, 56).trim() || null,
+            fideId: line.slice(57, 68).trim() || null,
+            results
+        });
+    });
+
+    if (entries.length === 0) throw new Error('No player lines (001) found in the TRF file');
+
+    // Names are player IDs here, so make repeats unique
+    const used = new Set();
+    const idByRank = new Map();
+    entries.forEach(entry => {
+        let id = entry.name;
+        for (let n = 2; used.has(id); n++) id = `${entry.name} (${n})`;
+        used.add(id);
+        idByRank.set(entry.rank, id);
+    });
+
+    const roundCount = Math.max(...entries.map(e => e.results.length));
+    const rounds = [];
+    const knockout = system === 'knockout';
+    for (let r = 0; r < roundCount; r++) {
+        const pairings = [];
+        entries.forEach(entry => {
+            const game = entry.results[r];
+            if (!game) return;
+            const id = idByRank.get(entry.rank);
+
+            if (game.opponent === 0) {
+                // Pairing-allocated or full-point bye
+                if (game.result === 'U' || game.result === 'F' || game.result === ' ') {
+                    pairings.push({
+                        player1Id: id,
+                        player2Id: null,
+                        ...(knockout ? { knockout: true, winnerId: game.result !== ' ' ? id : null } : { whiteId: null, blackId: null, result: null }),
+                        bye: true,
+                        resultRecorded: game.result !== ' '
+                    });
+                } else if (game.result === 'H' || game.result === 'Z') {
+                    pairings.push(unpairedRoundEntry(id, game.result === 'H' ? BYE_HALF : BYE_ABSENT));
+                }
+                return;
+            }
+
+            const opponentId = idByRank.get(game.opponent);
+            if (!opponentId) throw new Error(`Player ${entry.rank} meets unknown player ${game.opponent} in round ${r + 1}`);
+            // Each game appears on both players' lines: keep it once, from White's side
+            const opponentGame = entries.find(e => e.rank === game.opponent).results[r];
+            const isWhite = game.color === 'w' || (game.color !== 'b' && (!opponentGame || opponentGame.color !== 'w') && entry.rank < game.opponent);
+            if (!isWhite) return;
+
+            const points = { '1': 1, '+': 1, 'W': 1, '=': 0.5, 'D': 0.5, '0': 0, '-': 0, 'L': 0 };
+            const recorded = game.result in points;
+            const codes = [game.result, opponentGame ? opponentGame.result : ''];
+            const unplayed = Object.keys(TRF_UNPLAYED_RESULTS)
+                .find(key => TRF_UNPLAYED_RESULTS[key][0] === codes[0] && TRF_UNPLAYED_RESULTS[key][1] === codes[1]);
+            const pairing = { player1Id: id, player2Id: opponentId, bye: false, resultRecorded: recorded };
+            if (knockout) {
+                pairing.knockout = true;
+                pairing.winnerId = recorded ? (points[game.result] >= 0.5 ? id : opponentId) : null;
+                if (game.result === '+' || game.result === '-') pairing.walkover = true;
+            } else {
+                pairing.whiteId = id;
+                pairing.blackId = opponentId;
+                pairing.result = recorded ? (unplayed || `${points[game.result]}-${1 - points[game.result]}`) : null;
+            }
+            pairings.push(pairing);
+        });
+        rounds.push({ round: r + 1, pairings });
+    }
+
+    const ranked = [...entries].sort((a, b) => a.rank - b.rank);
+    const roundRobin = system === 'round-robin';
+    return {
+        version: SNAPSHOT_VERSION,
+        name,
+        pairingSystem: system,
+        currentRound: rounds.length,
+        plannedRounds: Math.max(plannedRounds || 0, rounds.length) || undefined,
+        // A round-robin's starting ranks are its pairing numbers; more rounds than one cycle is a double round-robin
+        pairingNumbers: roundRobin ? ranked.map(entry => idByRank.get(entry.rank)) : undefined,
+        roundRobinCycles: roundRobin && Math.max(plannedRounds || 0, rounds.length) > roundRobinCycleRounds(entries.length) ? 2 : undefined,
+        players: ranked
+            .map(entry => ({
+                id: idByRank.get(entry.rank),
+                rating: entry.rating,
+                fideId: entry.fideId,
+                federation: entry.federation,
+                club: null
+            })),
+        rounds,
+        matchResults: []
+    };
+}
+
+/**
+ * Read an exported JSON or TRF file into a snapshot for Tournament.restore()
+ * @param {string} text - File contents
+ * @returns {Object} Tournament snapshot
+ */
+function parseTournamentFile(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    if (trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Not a valid JSON file: ${error.message}`);
+        }
+        if (data.format && data.format !== JSON_EXPORT_FORMAT) {
+            throw new Error(`Unknown JSON format "${data.format}"`);
+        }
+        const { format, ...snapshot } = data;
+        return snapshot;
+    }
+    if (/^(001|012) /m.test(trimmed)) return parseTrf(trimmed);
+    throw new Error('Unrecognised file: expected a tournament JSON export or a TRF report');
+}
@@ -1,10 +1,33 @@
 /**
  * Chess Tournament Pairing System
- * Supports Swiss System and Round-Robin pairing algorithms
+ * Supports Swiss System and Round-Robin pairing algorithms, elimination brackets, a continuous arena and
+ * Scheveningen team matches; a Swiss or round-robin can qualify the top players for a knockout playoff
+ * Swiss and Round-Robin pairings are stored with player1 = White, player2 = Black
  */
 
+// Bump when the snapshot format changes; restore() migrates older versions
+// 2: round-robin pairing numbers are stored, byes are scored as soon as they are paired, an adjourned game stays unrecorded
+const SNAPSHOT_VERSION = 2;
+
+// Round lifecycle: open -> results pending -> complete -> next round paired
+const ROUND_OPEN = 'open';
+const ROUND_RESULTS_PENDING = 'results-pending';
+const ROUND_COMPLETE = 'complete';
+const ROUND_NEXT_PAIRED = 'next-round-paired';
+
+// Player attributes a Swiss pairing can keep apart (see setAvoidanceRules)
+const AVOIDANCE_ATTRIBUTES = {
+    club: 'Same club',
+    federation: 'Same federation',
+    family: 'Same family'
+};
+const AVOID_HARD = 'hard'; // only broken when no other pairing exists
+const AVOID_SOFT = 'soft'; // kept while another opponent with the same score is free
+
 class Tournament {
-    constructor() {
+    constructor(name = 'Tournament') {
+        this.id = `t-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.name = name;
         this.players = [];
         this.rounds = [];
         this.currentRound = 0;
@@ -12,20 +35,446 @@ class Tournament {
         this.eliminatedPlayers = []; // For knockout system
         this.activePlayers = []; // Players still in tournament (knockout)
         this.matchResults = []; // Store match results for Swiss system
+        this.tieBreaks = [...DEFAULT_TIE_BREAKS]; // Ordered tie-break keys (see TIE_BREAKS)
+        this.plannedRounds = 7; // Swiss rounds to play
+        this.grandFinalReset = true; // Double elimination: replay the final if the losers-bracket champion wins it
+        this.bracket = null; // Knockout / double elimination: { system, seeds, reset, firstRound }, fixed when round 1 is paired
+        this.knockoutFormat = { ...DEFAULT_KNOCKOUT_FORMAT }; // Games per knockout match and tiebreaks (see match-format.js)
+        this.arenaSettings = { ...DEFAULT_ARENA_SETTINGS }; // Arena duration and scoring rules (see arena.js)
+        this.arena = null; // Arena once started: { startedAt, endsAt, paused } (times in ms, paused: player IDs)
+        this.teams = []; // Team event: [{ id, players }], squads in board order (see teams.js)
+        this.teamBoards = 4; // Boards per team match
+        this.teamScoring = TEAM_SCORING_MATCH_POINTS; // Ranks the teams and forms the Swiss score groups
+        this.avoidanceRules = []; // Swiss: [{ attribute, mode, rounds }] players who shouldn't meet (rounds: first K, null = all)
+        this.byeRequests = []; // [{ playerId, round, byeType }] rounds a player will miss (BYE_HALF or BYE_ABSENT, see player-status.js)
+        this.byeSettings = { ...DEFAULT_BYE_SETTINGS }; // Pairing bye: { points (1, ½ or 0), countsForTieBreaks }
+        this.kFactor = DEFAULT_K_FACTOR; // For the rating change estimates in the standings (see elo.js)
+        this.roundRobinCycles = 1; // 2 = double round-robin, colours reversed in the second cycle
+        this.pairingNumberMethod = PAIRING_NUMBERS_RATING; // Round-robin pairing numbers: by rating or drawn (see round-robin.js)
+        this.pairingNumbers = null; // Round-robin: player IDs in pairing-number order, fixed once drawn
+        this.playoff = null; // Second stage: { system, qualifiers }, plus { startRound, qualifying } once it has started
+    }
+
+    /**
+     * Knockout-style systems, where the winner of each game is needed for the next pairing
+     */
+    static isElimination(system) {
+        return system === 'knockout' || system === 'double-elimination';
+    }
+
+    /**
+     * Suggested number of Swiss rounds: log2 of the field, rounded up, so one player can finish alone on top
+     * @param {number} playerCount
+     */
+    static suggestRounds(playerCount) {
+        if (playerCount < 2) return 1;
+        return Math.ceil(Math.log2(playerCount));
+    }
+
+    /**
+     * Set the number of Swiss rounds to play
+     * @param {number} rounds - At least 1 and not fewer than the rounds already paired
+     */
+    setPlannedRounds(rounds) {
+        const value = Number(rounds);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error('Number of rounds must be a whole number of at least 1');
+        }
+        if (value < this.currentRound) {
+            throw new Error(`Round ${this.currentRound} has already been paired; cannot plan only ${value} rounds`);
+        }
+        this.plannedRounds = value;
+    }
+
+    /**
+     * Total rounds for the chosen system (Swiss: planned, Round-Robin: fixed by the field and cycles, Knockout: log2,
+     * Double elimination: the bracket depth, not counting a bracket reset; Scheveningen: one round per board)
+     * @param {string} system - Defaults to the tournament's pairing system
+     */
+    getTotalRounds(system = this.pairingSystem) {
+        const n = this.players.length;
+        if (system === 'arena') return 1; // every arena game is kept in one round
+        if (system === 'scheveningen') return this.teamBoards;
+        if (system === 'round-robin') {
+            const entrants = this.teams.length > 0 ? this.teams.length : n;
+            return roundRobinCycleRounds(entrants) * this.roundRobinCycles;
+        }
+        const bracket = this.bracket && this.bracket.system === system ? this.bracket : null;
+        if (system === 'knockout') {
+            return bracket ? bracket.firstRound - 1 + Math.log2(bracketSize(bracket.seeds.length)) : Tournament.suggestRounds(n);
+        }
+        if (system === 'double-elimination') {
+            const seedCount = bracket ? bracket.seeds.length : n;
+            return (bracket ? bracket.firstRound - 1 : 0) + bracketRoundCount(buildDoubleEliminationBracket(seedCount), seedCount);
+        }
+        return this.plannedRounds;
+    }
+
+    /**
+     * True once the last round has been played and every result is in
+     */
+    isComplete() {
+        if (this.pairingSystem === 'arena') {
+            return this.arena !== null && Date.now() >= this.arena.endsAt && this.getMissingResults(1).length === 0;
+        }
+        if (this.currentRound === 0 || !this.areAllResultsRecorded(this.currentRound)) return false;
+        if (this.pairingSystem === 'knockout') {
+            return this.activePlayers.length <= 1;
+        }
+        if (this.pairingSystem === 'double-elimination') {
+            return this.getBracketState().champion !== null;
+        }
+        if (this.playoff && (this.pairingSystem === 'swiss' || this.pairingSystem === 'round-robin')) {
+            return false; // the qualifying rounds are only the first stage
+        }
+        return this.currentRound >= this.getTotalRounds();
+    }
+
+    /**
+     * Final podium once the tournament is complete (knockout: the last player standing first)
+     * @param {number} count - How many places
+     * @returns {Array} Top standings, empty while the tournament is still running
+     */
+    getWinners(count = 3) {
+        if (!this.isComplete()) return [];
+        const standings = this.getStandings('score');
+        if (Tournament.isElimination(this.pairingSystem)) {
+            // Last player standing first, then by how long each player lasted
+            const lasted = (p) => (p.eliminated ? p.eliminatedInRound : Infinity);
+            standings.sort((a, b) => lasted(b) - lasted(a));
+        }
+        return standings.slice(0, count).map((player, index) => ({ ...player, rank: index + 1 }));
+    }
+
+    /**
+     * Whether a round is played as a knockout. Decided per round: a playoff follows Swiss or
+     * round-robin rounds, which stay what they were after the event has become a knockout.
+     * @param {number} round - Round number (a round not paired yet: the system it will be paired with)
+     */
+    isKnockoutRound(round) {
+        const roundData = this.rounds.find(r => r.round === round);
+        if (roundData) return roundData.pairings.some(p => p.knockout);
+        if (this.playoff && this.playoff.startRound) return round >= this.playoff.startRound;
+        return Tournament.isElimination(this.pairingSystem);
+    }
+
+    /**
+     * Set the knockout match format used for matches paired from now on
+     * @param {Object} format - { games, rapidGames, blitzGames, armageddon }
+     */
+    setKnockoutFormat(format) {
+        this.knockoutFormat = normalizeMatchFormat(format);
+    }
+
+    /**
+     * Set the K-factor used for the rating change estimates
+     * @param {number} kFactor
+     */
+    setKFactor(kFactor) {
+        const k = Number(kFactor);
+        if (!Number.isInteger(k) || k < 1 || k > 100) {
+            throw new Error('K-factor must be a whole number from 1 to 100');
+        }
+        this.kFactor = k;
+    }
+
+    /**
+     * Single or double round-robin (may be changed while no round of a second cycle has been paired)
+     * @param {number} cycles - 1 or 2
+     */
+    setRoundRobinCycles(cycles) {
+        const value = Number(cycles);
+        if (value !== 1 && value !== 2) {
+            throw new Error('A round-robin is played once (single) or twice (double)');
+        }
+        if (this.pairingSystem === 'round-robin' && this.currentRound > 0) {
+            const entrants = this.teams.length > 0 ? this.teams.length : this.players.length;
+            if (this.currentRound > roundRobinCycleRounds(entrants) * value) {
+                throw new Error(`Round ${this.currentRound} has already been paired; the second cycle has started`);
+            }
+        }
+        this.roundRobinCycles = value;
+    }
+
+    /**
+     * How round-robin pairing numbers are assigned; draws them again
+     * @param {string} method - PAIRING_NUMBERS_RATING or PAIRING_NUMBERS_RANDOM
+     */
+    setPairingNumberMethod(method) {
+        if (!PAIRING_NUMBER_METHODS[method]) throw new Error(`Unknown pairing number method: ${method}`);
+        this.checkPairingNumbersOpen();
+        this.pairingNumberMethod = method;
+        this.redrawPairingNumbers();
+    }
+
+    /**
+     * Assign the pairing numbers again (a new draw for the random method)
+     * @returns {string[]} Player IDs, pairing number 1 first
+     */
+    redrawPairingNumbers() {
+        this.checkPairingNumbersOpen();
+        this.pairingNumbers = drawPairingNumbers(this.players, this.pairingNumberMethod);
+        return this.pairingNumbers;
+    }
+
+    /**
+     * Pairing numbers can only change before round 1 of a round-robin
+     */
+    checkPairingNumbersOpen() {
+        if (this.pairingSystem === 'round-robin' && this.currentRound > 0) {
+            throw new Error('The round-robin has started: pairing numbers are fixed');
+        }
+    }
+
+    /**
+     * Round-robin pairing numbers, drawn on first use and again whenever the field has changed
+     * before round 1; after that they stay fixed whatever the order of the players list
+     * @returns {string[]} Player IDs, pairing number 1 first
+     */
+    getPairingNumbers() {
+        const numbers = this.pairingNumbers || [];
+        const ids = new Set(this.players.map(p => p.id));
+        if (numbers.length !== ids.size || !numbers.every(id => ids.has(id))) {
+            this.pairingNumbers = drawPairingNumbers(this.players, this.pairingNumberMethod);
+        }
+        return this.pairingNumbers;
+    }
+
+    /**
+     * The whole round-robin schedule, including rounds not paired yet (teams: in team list order)
+     * @returns {Array<{round, cycle, boards: Array<{board, whiteId, blackId}>, byeId}>}
+     */
+    getRoundRobinSchedule() {
+        const ids = this.teams.length > 0 ? this.teams.map(t => t.id) : this.getPairingNumbers();
+        return roundRobinSchedule(ids, this.roundRobinCycles);
+    }
+
+    /**
+     * Add a second stage: after the Swiss or round-robin rounds the top of the standings go into a
+     * knockout playoff, seeded in standings order (null: a single stage)
+     * @param {{system: string, qualifiers: number}|null} playoff - system: 'knockout' or 'double-elimination'
+     */
+    setPlayoff(playoff) {
+        if (this.playoff && this.playoff.startRound) {
+            throw new Error('The playoff has started. Reset the tournament to change it.');
+        }
+        if (!playoff) {
+            this.playoff = null;
+            return;
+        }
+        if (!Tournament.isElimination(playoff.system)) {
+            throw new Error('The playoff is a knockout or double elimination');
+        }
+        const qualifiers = Number(playoff.qualifiers);
+        if (!Number.isInteger(qualifiers) || qualifiers < 2) {
+            throw new Error('At least 2 players must qualify for the playoff');
+        }
+        if (this.teams.length > 0) {
+            throw new Error('Team events have no playoff stage');
+        }
+        this.playoff = { system: playoff.system, qualifiers };
+    }
+
+    /**
+     * Set the value of the pairing bye and whether it counts toward tie-breaks
+     * Byes already given are rescored with the new value.
+     * @param {Object} settings - { points, countsForTieBreaks }
+     */
+    setByeSettings(settings) {
+        const merged = { ...this.byeSettings, ...settings };
+        const points = Number(merged.points);
+        if (!BYE_VALUES.includes(points)) {
+            throw new Error('A bye is worth 1, ½ or 0 points');
+        }
+        this.byeSettings = { points, countsForTieBreaks: Boolean(merged.countsForTieBreaks) };
+        this.recomputeStats();
+    }
+
+    /**
+     * Set the arena duration and scoring rules
+     * The duration may still change once the arena is running; its end time moves with it.
+     * @param {Object} settings - { durationMinutes, berserk, streaks }
+     */
+    setArenaSettings(settings) {
+        const merged = { ...this.arenaSettings, ...settings };
+        const minutes = Number(merged.durationMinutes);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+            throw new Error('Arena duration must be a whole number of minutes from 1 to 1440');
+        }
+        this.arenaSettings = { durationMinutes: minutes, berserk: Boolean(merged.berserk), streaks: Boolean(merged.streaks) };
+        if (this.arena) {
+            this.arena.endsAt = this.arena.startedAt + minutes * 60000;
+        }
+        this.recomputeStats();
+    }
+
+    /**
+     * Keep players with the same club, federation or family apart in Swiss pairings
+     * @param {Array<{attribute: string, mode: string, rounds: number|null}>} rules - attribute: key of
+     *        AVOIDANCE_ATTRIBUTES; mode: AVOID_HARD or AVOID_SOFT; rounds: applies to the first K rounds, null = all
+     */
+    setAvoidanceRules(rules) {
+        this.avoidanceRules = rules.map(rule => {
+            if (!AVOIDANCE_ATTRIBUTES[rule.attribute]) throw new Error(`Unknown avoidance rule: ${rule.attribute}`);
+            if (rule.mode !== AVOID_HARD && rule.mode !== AVOID_SOFT) throw new Error(`Avoidance must be "${AVOID_HARD}" or "${AVOID_SOFT}"`);
+            const rounds = rule.rounds === null || rule.rounds === undefined || rule.rounds === '' ? null : Number(rule.rounds);
+            if (rounds !== null && (!Number.isInteger(rounds) || rounds < 1)) {
+                throw new Error('Avoidance rounds must be a whole number of at least 1 (empty for all rounds)');
+            }
+            return { attribute: rule.attribute, mode: rule.mode, rounds };
+        });
+    }
+
+    /**
+     * Why two players shouldn't meet in a round, or null (a hard rule wins over a soft one)
+     * @returns {{hard: boolean, reason: string}|null}
+     */
+    pairingConflict(a, b, round) {
+        let found = null;
+        this.avoidanceRules
+            .filter(rule => rule.rounds === null || round <= rule.rounds)
+            .forEach(rule => {
+                const value = a[rule.attribute];
+                if (!value || value !== b[rule.attribute]) return;
+                if (found && (found.hard || rule.mode === AVOID_SOFT)) return;
+                found = { hard: rule.mode === AVOID_HARD, reason: `${AVOIDANCE_ATTRIBUTES[rule.attribute]} (${value})` };
+            });
+        return found;
+    }
+
+    /**
+     * Turn the tournament into a team event (an empty list makes it individual again)
+     * Every player may be in one squad only; teams that have already played must stay.
+     * @param {Array<{id: string, players: Array<string>}>} teams - Squads in board order, reserves last
+     */
+    setTeams(teams) {
+        const ids = new Set();
+        const squadOf = new Map();
+        const cleaned = teams.map(team => {
+            const id = (team.id || '').trim();
+            if (!id) throw new Error('Every team needs a name');
+            if (ids.has(id)) throw new Error(`Team ${id} is listed twice`);
+            ids.add(id);
+            const players = [...new Set(team.players)];
+            players.forEach(playerId => {
+                if (!this.players.some(p => p.id === playerId)) throw new Error(`${playerId} (${id}) is not a registered player`);
+                if (squadOf.has(playerId)) throw new Error(`${playerId} is in both ${squadOf.get(playerId)} and ${id}`);
+                squadOf.set(playerId, id);
+            });
+            return { id, players };
+        });
+        const missing = this.rounds
+            .flatMap(r => r.teamMatches || [])
+            .flatMap(m => [m.homeId, m.awayId])
+            .filter(id => id && !ids.has(id));
+        if (missing.length > 0) {
+            throw new Error(`${[...new Set(missing)].join(', ')} already played and cannot be removed`);
+        }
+        if (cleaned.length === 0 && this.rounds.some(r => r.teamMatches)) {
+            throw new Error('Team rounds have already been played. Reset the tournament to make it individual.');
+        }
+        this.teams = cleaned;
+    }
+
+    /**
+     * Set the number of boards per team match (before the first round)
+     */
+    setTeamBoards(boards) {
+        const value = Number(boards);
+        if (!Number.isInteger(value) || value < 1 || value > 20) {
+            throw new Error('Boards per match must be a whole number from 1 to 20');
+        }
+        if (this.currentRound > 0 && value !== this.teamBoards) {
+            throw new Error('The number of boards is fixed once round 1 has been paired');
+        }
+        this.teamBoards = value;
+    }
+
+    /**
+     * Rank teams (and form Swiss score groups) by match points or by game points
+     */
+    setTeamScoring(scoring) {
+        if (!TEAM_SCORING_LABELS[scoring]) throw new Error(`Unknown team scoring: ${scoring}`);
+        this.teamScoring = scoring;
+    }
+
+    /**
+     * Suggested teams: one per club, squad ordered by rating (players without a club left out)
+     * @returns {Array<{id: string, players: Array<string>}>}
+     */
+    suggestTeamsFromClubs() {
+        const clubs = new Map();
+        this.players.filter(p => p.club).forEach(p => {
+            if (!clubs.has(p.club)) clubs.set(p.club, []);
+            clubs.get(p.club).push(p);
+        });
+        return [...clubs].map(([id, members]) => ({ id, players: this.seedOrder(members) }));
+    }
+
+    /**
+     * Average rating of a team's regular boards
+     */
+    teamRating(team) {
+        const ratings = team.players.slice(0, this.teamBoards)
+            .map(id => this.players.find(p => p.id === id))
+            .filter(Boolean)
+            .map(p => p.rating);
+        return ratings.length ? Math.round(ratings.reduce((a, b) => a + b, 0) / ratings.length) : 0;
+    }
+
+    /**
+     * Team standings
+     * @param {string} sortBy - TEAM_SCORING_MATCH_POINTS or TEAM_SCORING_GAME_POINTS (the other one breaks ties, then rating)
+     * @returns {Array<{rank, id, players, rating, matchPoints, gamePoints, wins, draws, losses, played}>}
+     */
+    getTeamStandings(sortBy = this.teamScoring) {
+        const stats = computeTeamStats(this.rounds, this.teams, this.byeSettings);
+        const [first, second] = sortBy === TEAM_SCORING_GAME_POINTS ? ['gamePoints', 'matchPoints'] : ['matchPoints', 'gamePoints'];
+        return this.teams
+            .map(team => {
+                const { opponents, colors, ...totals } = stats.get(team.id);
+                return { id: team.id, players: team.players, rating: this.teamRating(team), ...totals };
+            })
+            .sort((a, b) => b[first] - a[first] || b[second] - a[second] || b.rating - a.rating)
+            .map((team, index) => ({ rank: index + 1, ...team }));
+    }
+
+    /**
+     * Choose the ordered list of tie-breaks used by the standings
+     * @param {Array<string>} order - Keys of TIE_BREAKS, most important first
+     */
+    setTieBreaks(order) {
+        const unknown = order.filter(key => !TIE_BREAKS[key]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown tie-break: ${unknown.join(', ')}`);
+        }
+        this.tieBreaks = [...new Set(order)];
     }
 
     /**
      * Add players to the tournament
-     * @param {Array<string|{id: string, rating?: number}>} playerInput - Array of player IDs (strings) or { id, rating } objects
+     * Once the tournament has started they are late entries: they join from the next round, and each
+     * round already paired is saved for them as a bye of the given type.
+     * @param {Array<string|{id: string, rating?: number, fideId?: string, federation?: string, club?: string, family?: string}>} playerInput - Array of player IDs (strings) or player objects
+     * @param {Object} options - { missedRounds: BYE_ABSENT (default) or BYE_HALF } for late entries
      */
-    addPlayers(playerInput) {
+    addPlayers(playerInput, options = {}) {
+        if (this.currentRound > 0 && !this.arena && this.pairingSystem !== 'swiss') {
+            throw new Error('Late entries are only possible in a Swiss or arena tournament: the schedule or bracket is already fixed.');
+        }
+        const missedRounds = options.missedRounds || BYE_ABSENT;
+        const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
         const normalize = (item) => {
             if (typeof item === 'string') {
                 return { id: item.trim(), rating: 1500 };
             }
             return {
                 id: (item.id || '').trim(),
-                rating: typeof item.rating === 'number' && item.rating >= 0 ? item.rating : 1500
+                rating: typeof item.rating === 'number' && item.rating >= 0 ? item.rating : 1500,
+                fideId: text(item.fideId),
+                federation: text(item.federation),
+                club: text(item.club),
+                family: text(item.family)
             };
         };
         const newPlayers = playerInput
@@ -36,20 +485,111 @@ class Tournament {
                 id: p.id,
                 score: 0,
                 rating: p.rating,
+                fideId: p.fideId || null, // FIDE or club membership ID
+                federation: p.federation || null,
+                club: p.club || null,
+                family: p.family || null, // siblings share a family name or code
                 opponents: [],
                 wins: 0,
                 losses: 0,
                 draws: 0,
                 bye: false,
                 eliminated: false,
-                lastResult: null
+                lastResult: null,
+                colors: [], // 'W' / 'B' per game, in round order
+                enteredRound: this.currentRound + 1, // first round paired (later than 1 for a late entry)
+                withdrawnAfter: null // last round played before withdrawing
             }));
 
         this.players.push(...newPlayers);
-        this.activePlayers = [...this.players];
+        if (this.currentRound > 0 && !this.arena) {
+            this.rounds.forEach(roundData => {
+                roundData.pairings.push(...newPlayers.map(p => unpairedRoundEntry(p.id, missedRounds)));
+            });
+        }
+        this.recomputeStats();
         return newPlayers.length;
     }
 
+    /**
+     * Withdraw a player: not paired from the next round on (a game already paired still needs its result)
+     */
+    withdrawPlayer(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) throw new Error(`Unknown player: ${playerId}`);
+        player.withdrawnAfter = this.currentRound;
+        this.byeRequests = this.byeRequests.filter(r => r.playerId !== playerId);
+        if (this.arena) this.setArenaPaused(playerId, true);
+    }
+
+    /**
+     * Undo a withdrawal: the player is paired again from the next round
+     */
+    reinstatePlayer(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player || player.withdrawnAfter === null) return false;
+        player.withdrawnAfter = null;
+        if (this.arena) this.setArenaPaused(playerId, false);
+        return true;
+    }
+
+    /**
+     * A player will miss a future round: a requested half-point bye, or an absence (zero points)
+     * In knockout an absent player loses that round's match by walkover, in a round-robin that round's game by forfeit.
+     * @param {number} round - A round not paired yet
+     * @param {string} byeType - BYE_HALF or BYE_ABSENT
+     */
+    requestBye(playerId, round, byeType = BYE_HALF) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) throw new Error(`Unknown player: ${playerId}`);
+        if (byeType !== BYE_HALF && byeType !== BYE_ABSENT) throw new Error(`Unknown bye type: ${byeType}`);
+        if (this.arena) throw new Error('An arena has no rounds to miss: pause the player instead.');
+        if (!Number.isInteger(round) || round <= this.currentRound) {
+            throw new Error(`Round ${round} has already been paired; byes can only be requested for later rounds`);
+        }
+        if (player.withdrawnAfter !== null) throw new Error(`${playerId} has withdrawn`);
+        if (byeType === BYE_HALF && Tournament.isElimination(this.pairingSystem)) {
+            throw new Error('Knockout has no half-point byes: a player who misses a round loses by walkover.');
+        }
+        if (byeType === BYE_HALF && this.pairingSystem === 'round-robin') {
+            throw new Error('Round-robin has no half-point byes: a player who misses a round loses that game by forfeit.');
+        }
+        this.byeRequests = this.byeRequests.filter(r => !(r.playerId === playerId && r.round === round));
+        this.byeRequests.push({ playerId, round, byeType });
+        this.byeRequests.sort((a, b) => a.round - b.round);
+    }
+
+    cancelByeRequest(playerId, round) {
+        const before = this.byeRequests.length;
+        this.byeRequests = this.byeRequests.filter(r => !(r.playerId === playerId && r.round === round));
+        return this.byeRequests.length < before;
+    }
+
+    /**
+     * Whether a player can be paired in a round (entered, not withdrawn, no bye requested)
+     */
+    isAvailable(player, round) {
+        return (player.enteredRound || 1) <= round
+            && (player.withdrawnAfter === null || player.withdrawnAfter === undefined || round <= player.withdrawnAfter)
+            && !this.byeRequests.some(r => r.playerId === player.id && r.round === round);
+    }
+
+    /**
+     * Players who can be paired in a round
+     */
+    availablePlayers(round) {
+        return this.players.filter(p => this.isAvailable(p, round));
+    }
+
+    /**
+     * Saved entries for the players who asked to miss a round
+     */
+    requestedByeEntries(round) {
+        return this.byeRequests
+            .filter(r => r.round === round && this.players.some(p => p.id === r.playerId))
+            .map(r => unpairedRoundEntry(r.playerId, r.byeType));
+    }
+
     /**
      * Clear all players
      */
@@ -60,111 +600,612 @@ class Tournament {
         this.eliminatedPlayers = [];
         this.activePlayers = [];
         this.matchResults = [];
+        this.bracket = null;
+        this.arena = null;
+        this.teams = [];
+        this.byeRequests = [];
+        this.pairingNumbers = null;
+        this.resetPlayoff();
     }
 
     /**
      * Generate pairings for the next round
-     * @param {string} system - 'swiss', 'round-robin', or 'knockout'
+     * @param {string} system - 'swiss', 'round-robin', 'knockout', 'double-elimination' or 'arena'
      * @returns {Array} Array of pairings
      */
-    generatePairings(system = this.pairingSystem) {
-        if (this.players.length < 2) {
-            throw new Error('Need at least 2 players to generate pairings');
+    generatePairings(system = this.pairingSystem) {
+        if (this.players.length < 2) {
+            throw new Error('Need at least 2 players to generate pairings');
+        }
+
+        // Arena has no rounds to finish: start it, or pair whoever is waiting
+        if (system === 'arena') {
+            if (this.teams.length > 0) {
+                throw new Error('Team events are paired with the Swiss, Round-Robin or Scheveningen system');
+            }
+            if (this.currentRound > 0 && !this.arena) {
+                throw new Error('This tournament has already been paired in rounds. Reset it to run an arena.');
+            }
+            this.pairingSystem = system;
+            return this.generateArenaPairings();
+        }
+        if (this.arena) {
+            throw new Error('An arena has already been started. Reset the tournament to pair it in rounds.');
+        }
+
+        // Every system: the previous round must be finished (or its open games deferred)
+        if (this.currentRound > 0) {
+            const missing = this.getMissingResults(this.currentRound);
+            if (missing.length > 0) {
+                const games = missing.map(p => `${p.player1Id} vs ${p.player2Id}`).join(', ');
+                throw new Error(`Please record results for all matches in round ${this.currentRound} before generating the next round. Missing: ${games}.`);
+            }
+        }
+
+        // Second stage: once the qualifying rounds are over, the playoff takes over
+        if (this.playoff && this.playoff.startRound) {
+            system = this.playoff.system;
+        } else if (this.playoff && (system === 'swiss' || system === 'round-robin') && this.teams.length === 0
+            && this.currentRound > 0 && this.currentRound >= this.getTotalRounds(system)) {
+            return this.startPlayoff(system);
+        }
+
+        this.pairingSystem = system;
+
+        if (system === 'scheveningen') {
+            return this.generateScheveningenPairings();
+        }
+        if (this.teams.length > 0) {
+            return this.generateTeamPairings(system);
+        }
+        if (system === 'knockout') {
+            return this.generateKnockoutPairings();
+        } else if (system === 'double-elimination') {
+            return this.generateDoubleEliminationPairings();
+        } else if (system === 'swiss') {
+            return this.generateSwissPairings();
+        } else {
+            return this.generateRoundRobinPairings();
+        }
+    }
+
+    /**
+     * Start the playoff after the qualifying rounds: the top of the standings go through (players who
+     * have withdrawn don't qualify), seeded in standings order, and the bracket starts in the next round
+     * @param {string} qualifying - The first stage's system, 'swiss' or 'round-robin'
+     */
+    startPlayoff(qualifying) {
+        const round = this.currentRound + 1;
+        const seeds = this.getStandings('score')
+            .filter(p => p.withdrawnAfter === null || p.withdrawnAfter === undefined)
+            .slice(0, this.playoff.qualifiers)
+            .map(p => p.id);
+        if (seeds.length < 2) {
+            throw new Error('At least 2 players are needed for the playoff');
+        }
+        const { system } = this.playoff;
+        this.playoff = { ...this.playoff, startRound: round, qualifying };
+        this.pairingSystem = system;
+        this.bracket = system === 'double-elimination'
+            ? { system, seeds, reset: this.grandFinalReset, firstRound: round }
+            : { system, seeds, firstRound: round };
+        return system === 'knockout' ? this.generateKnockoutPairings() : this.generateDoubleEliminationPairings();
+    }
+
+    /**
+     * Back to the first stage (the playoff settings stay)
+     */
+    resetPlayoff() {
+        if (!this.playoff || !this.playoff.startRound) return;
+        this.pairingSystem = this.playoff.qualifying;
+        this.playoff = { system: this.playoff.system, qualifiers: this.playoff.qualifiers };
+    }
+
+    /**
+     * Knockout (single elimination): winners advance, losers are eliminated
+     * Seeded bracket fixed at the start (1 v N, 2 v N-1 in standard bracket order, byes to the
+     * top seeds), so every winner's next opponent is known in advance. Round r plays bracket round r.
+     */
+    generateKnockoutPairings() {
+        if (this.currentRound === 0 || !this.bracket) {
+            // A knockout continued from a save without a bracket is seeded from the players still in
+            const field = this.currentRound === 0 ? this.players : this.players.filter(p => !p.eliminated);
+            this.bracket = { system: 'knockout', seeds: this.seedOrder(field), firstRound: this.currentRound + 1 };
+        }
+        const bracketRound = this.currentRound + 2 - this.bracket.firstRound;
+        return this.generateBracketPairings(match => match.bracketRound === bracketRound);
+    }
+
+    /**
+     * Double elimination: a player is out after a second loss
+     * The bracket is fixed from the seeds (by rating) when round 1 is paired; each round then
+     * plays every bracket match whose two players are known. Byes advance without playing.
+     */
+    generateDoubleEliminationPairings() {
+        if (this.currentRound === 0) {
+            this.bracket = { system: 'double-elimination', seeds: this.seedOrder(this.players), reset: this.grandFinalReset, firstRound: 1 };
+        }
+        return this.generateBracketPairings(() => true);
+    }
+
+    /**
+     * Team round: teams are paired as a whole (Swiss on the chosen team score, or Berger tables),
+     * then each match is split into board games from the default lineups
+     * @param {string} system - 'swiss' or 'round-robin'
+     * @returns {Array} Board pairings
+     */
+    generateTeamPairings(system) {
+        if (system !== 'swiss' && system !== 'round-robin') {
+            throw new Error('Team events are paired with the Swiss, Round-Robin or Scheveningen system');
+        }
+        if (this.teams.length < 2) throw new Error('Need at least 2 teams to generate pairings');
+        const short = this.teams.filter(t => t.players.length < this.teamBoards);
+        if (short.length > 0) {
+            throw new Error(`Every team needs at least ${this.teamBoards} players: ${short.map(t => t.id).join(', ')}`);
+        }
+
+        const round = this.currentRound + 1;
+        const stats = computeTeamStats(this.rounds, this.teams, this.byeSettings);
+        let pairs = [];
+        let byeTeam = null;
+        let warnings = [];
+
+        if (system === 'round-robin') {
+            const n = this.teams.length;
+            if (this.currentRound >= this.getTotalRounds('round-robin')) {
+                throw new Error(`Round-robin tournament complete! All teams have played each other${this.roundRobinCycles === 2 ? ' twice' : ''}.`);
+            }
+            if (this.currentRound === 0) this.getRoundRobinSchedule(); // checks the colours
+            roundRobinBoards(n, round, this.roundRobinCycles).forEach(([whiteNum, blackNum]) => {
+                const home = this.teams[whiteNum - 1];
+                const away = this.teams[blackNum - 1];
+                if (home && away) pairs.push([home, away]);
+                else byeTeam = home || away;
+            });
+        } else {
+            if (this.currentRound >= this.plannedRounds) {
+                throw new Error(`🎉 Tournament Complete! All ${this.plannedRounds} Swiss rounds have been played.`);
+            }
+            const scoreKey = this.teamScoring === TEAM_SCORING_GAME_POINTS ? 'gamePoints' : 'matchPoints';
+            const entrants = this.teams.map(team => ({
+                id: team.id,
+                team,
+                score: stats.get(team.id)[scoreKey],
+                rating: this.teamRating(team),
+                colors: stats.get(team.id).colors
+            }));
+            const engine = new SwissPairingEngine({
+                opponents: new Map(this.teams.map(t => [t.id, stats.get(t.id).opponents])),
+                previousByes: new Map(this.teams.map(t => [t.id, stats.get(t.id).byes]))
+            });
+            const result = engine.pair(entrants);
+            pairs = result.pairs.map(([home, away]) => [home.team, away.team]);
+            byeTeam = result.byePlayer ? result.byePlayer.team : null;
+            warnings = result.warnings;
+        }
+
+        const teamMatches = pairs.map(([home, away]) => ({
+            homeId: home.id,
+            awayId: away.id,
+            lineups: { [home.id]: home.players.slice(0, this.teamBoards), [away.id]: away.players.slice(0, this.teamBoards) }
+        }));
+        if (byeTeam) teamMatches.push({ homeId: byeTeam.id, awayId: null, lineups: {} });
+
+        const roundData = { round, pairings: [], teamMatches, warnings };
+        teamMatches.forEach((match, index) => {
+            roundData.pairings.push(...this.teamMatchGames(match, index));
+        });
+        this.rounds.push(roundData);
+        this.recomputeStats();
+        this.currentRound = round;
+
+        const byId = new Map(this.players.map(p => [p.id, p]));
+        return roundData.pairings.map(p => ({ player1: byId.get(p.player1Id), player2: byId.get(p.player2Id), round }));
+    }
+
+    /**
+     * Scheveningen: the two teams play one round per board, and in round r board i of the first team
+     * meets board i + r - 1 (wrapping round) of the second, so every player meets every opponent once.
+     * Colours per scheveningenHomeColor(); the teams' first teamBoards players play, reserves don't.
+     * @returns {Array} Board pairings
+     */
+    generateScheveningenPairings() {
+        if (this.teams.length !== 2) {
+            throw new Error(`Scheveningen is a match between exactly two teams (${this.teams.length} saved)`);
+        }
+        const boards = this.teamBoards;
+        const short = this.teams.filter(t => t.players.length < boards);
+        if (short.length > 0) {
+            throw new Error(`Every team needs at least ${boards} players: ${short.map(t => t.id).join(', ')}`);
+        }
+        if (this.currentRound >= boards) {
+            throw new Error(`🎉 Tournament Complete! Every player has met all ${boards} players of the other team.`);
+        }
+
+        const round = this.currentRound + 1;
+        const [home, away] = this.teams;
+        const homeLineup = home.players.slice(0, boards);
+        const awayLineup = homeLineup.map((_, i) => away.players[(i + round - 1) % boards]);
+        const match = { homeId: home.id, awayId: away.id, lineups: { [home.id]: homeLineup, [away.id]: awayLineup } };
+        const pairings = homeLineup.map((homePlayer, i) => {
+            const board = i + 1;
+            const [white, black] = scheveningenHomeColor(boards, round, board) === WHITE
+                ? [homePlayer, awayLineup[i]]
+                : [awayLineup[i], homePlayer];
+            return {
+                player1Id: white,
+                player2Id: black,
+                whiteId: white,
+                blackId: black,
+                bye: false,
+                resultRecorded: false,
+                result: null,
+                teamMatch: 0,
+                board
+            };
+        });
+
+        this.rounds.push({ round, pairings, teamMatches: [match] });
+        this.recomputeStats();
+        this.currentRound = round;
+
+        const byId = new Map(this.players.map(p => [p.id, p]));
+        return pairings.map(p => ({ player1: byId.get(p.player1Id), player2: byId.get(p.player2Id), round }));
+    }
+
+    /**
+     * Board games of a team match: the first-named team has White on the odd boards
+     */
+    teamMatchGames(match, index) {
+        if (!match.awayId) return [];
+        const home = match.lineups[match.homeId];
+        const away = match.lineups[match.awayId];
+        return home.map((homePlayer, i) => {
+            const board = i + 1;
+            const [white, black] = teamBoardColor(board) === WHITE ? [homePlayer, away[i]] : [away[i], homePlayer];
+            return {
+                player1Id: white,
+                player2Id: black,
+                whiteId: white,
+                blackId: black,
+                bye: false,
+                resultRecorded: false,
+                result: null,
+                teamMatch: index,
+                board
+            };
+        });
+    }
+
+    /**
+     * Field reserves: replace a team's lineup for one match, before any of its boards has a result
+     * @param {number} round
+     * @param {number} matchIndex - Index in the round's teamMatches
+     * @param {string} teamId
+     * @param {Array<string>} lineup - Player IDs, board 1 first, in squad order
+     */
+    setTeamLineup(round, matchIndex, teamId, lineup) {
+        const roundData = this.rounds.find(r => r.round === round);
+        const match = roundData && roundData.teamMatches ? roundData.teamMatches[matchIndex] : null;
+        if (!match || !match.awayId || (match.homeId !== teamId && match.awayId !== teamId)) {
+            throw new Error(`${teamId} has no match to line up in round ${round}`);
+        }
+        if (this.pairingSystem === 'scheveningen') {
+            throw new Error('A Scheveningen schedule is fixed: every player meets every opponent');
+        }
+        const games = roundData.pairings.filter(p => p.teamMatch === matchIndex);
+        if (games.some(p => p.resultRecorded)) {
+            throw new Error('The lineup cannot change once a board has a result');
+        }
+        validateLineup(this.teams.find(t => t.id === teamId), lineup, this.teamBoards);
+
+        match.lineups[teamId] = [...lineup];
+        const first = roundData.pairings.indexOf(games[0]);
+        roundData.pairings.splice(first, games.length, ...this.teamMatchGames(match, matchIndex));
+        this.recomputeStats();
+    }
+
+    /**
+     * Arena: the first call starts the clock and pairs everyone; later calls pair whoever is waiting
+     * (players who have just come back from a pause, or late entries)
+     * @param {number} now - Current time in ms
+     * @returns {Array} New games
+     */
+    generateArenaPairings(now = Date.now()) {
+        if (!this.arena) {
+            this.arena = { startedAt: now, endsAt: now + this.arenaSettings.durationMinutes * 60000, paused: [] };
+            this.rounds = [{ round: 1, arena: true, pairings: [] }];
+            this.currentRound = 1;
+        } else if (now >= this.arena.endsAt) {
+            throw new Error('🏁 The arena is over: no new games can start.');
+        }
+        return this.pairArena(now);
+    }
+
+    /**
+     * Arena games, in the order they were paired
+     */
+    getArenaGames() {
+        const roundData = this.rounds.find(r => r.arena);
+        return roundData ? roundData.pairings : [];
+    }
+
+    /**
+     * Pair the waiting pool: everyone not playing, not paused and not withdrawn
+     * Nothing is paired once the time is up; games already running still count.
+     * @param {number} now - Current time in ms
+     * @returns {Array} New games
+     */
+    pairArena(now = Date.now()) {
+        if (!this.arena || now >= this.arena.endsAt) return [];
+        const games = this.getArenaGames();
+        const playing = new Set();
+        const waitingSince = new Map(this.players.map(p => [p.id, this.arena.startedAt]));
+        const recentOpponents = new Map(this.players.map(p => [p.id, []]));
+        games.forEach(game => {
+            if (!game.resultRecorded) {
+                playing.add(game.player1Id);
+                playing.add(game.player2Id);
+            }
+        });
+        [...games]
+            .filter(game => game.resultRecorded)
+            .sort((a, b) => b.finishedAt - a.finishedAt)
+            .forEach(game => {
+                [[game.player1Id, game.player2Id], [game.player2Id, game.player1Id]].forEach(([id, opponentId]) => {
+                    if (!recentOpponents.has(id)) return;
+                    if (recentOpponents.get(id).length === 0) waitingSince.set(id, game.finishedAt);
+                    recentOpponents.get(id).push(opponentId);
+                });
+            });
+
+        const waiting = this.players
+            .filter(p => !playing.has(p.id) && !this.arena.paused.includes(p.id) && p.withdrawnAfter === null)
+            .map(player => ({ player, waitingSince: waitingSince.get(player.id) }));
+        const engine = new ArenaPairingEngine({ recentOpponents, othersPlaying: playing.size > 0 });
+
+        const created = engine.pair(waiting).map(([a, b], index) => {
+            const [white, black] = allocateColors(a, b, games.length + index);
+            return {
+                game: games.length + index + 1,
+                player1Id: white.id,
+                player2Id: black.id,
+                whiteId: white.id,
+                blackId: black.id,
+                bye: false,
+                resultRecorded: false,
+                result: null,
+                startedAt: now,
+                finishedAt: null,
+                berserk: [] // player IDs who halved their own clock
+            };
+        });
+        games.push(...created);
+        this.recomputeStats();
+        return created;
+    }
+
+    /**
+     * Find an arena game by its number
+     */
+    findArenaGame(gameNumber) {
+        return this.getArenaGames().find(g => g.game === gameNumber) || null;
+    }
+
+    /**
+     * Record a finished arena game; both players go straight back to the pool and are re-paired
+     * @param {number} gameNumber
+     * @param {string} result - '1-0', '0-1', '0.5-0.5' (White first)
+     * @param {number} now - Current time in ms
+     * @returns {Array} Games paired as a result
+     */
+    recordArenaResult(gameNumber, result, now = Date.now()) {
+        this.checkArenaResult(result);
+        const game = this.findArenaGame(gameNumber);
+        if (!game) throw new Error(`Arena game ${gameNumber} not found`);
+        if (game.resultRecorded) throw new Error(`Arena game ${gameNumber} already has a result`);
+        game.resultRecorded = true;
+        game.result = result;
+        game.finishedAt = now;
+        this.recomputeStats();
+        return this.pairArena(now);
+    }
+
+    /**
+     * Replace the result of a finished arena game (the order games finished in is kept)
+     */
+    correctArenaResult(gameNumber, result) {
+        this.checkArenaResult(result);
+        const game = this.findArenaGame(gameNumber);
+        if (!game || !game.resultRecorded) return false;
+        game.result = result;
+        this.recomputeStats();
+        return true;
+    }
+
+    /**
+     * Arena games are only scored as played games (a player who doesn't turn up is paused instead)
+     */
+    checkArenaResult(result) {
+        validateResult(result);
+        if (!isPlayedResult(result)) throw new Error('Arena games are scored 1-0, 0-1 or ½-½');
+    }
+
+    /**
+     * Berserk: a player halves their own clock for an extra point if they win
+     * @param {boolean} berserk - false to take it back (an entry mistake)
+     */
+    setArenaBerserk(gameNumber, playerId, berserk = true) {
+        if (!this.arenaSettings.berserk) throw new Error('Berserk is not allowed in this arena');
+        const game = this.findArenaGame(gameNumber);
+        if (!game || game.resultRecorded) throw new Error('Berserk is only possible in a game still in progress');
+        if (game.player1Id !== playerId && game.player2Id !== playerId) return false;
+        game.berserk = game.berserk.filter(id => id !== playerId);
+        if (berserk) game.berserk.push(playerId);
+        return true;
+    }
+
+    /**
+     * Take a player out of the waiting pool (a break, or leaving early) or bring them back
+     * @param {boolean} paused - false to rejoin; a rejoining player is paired straight away
+     * @returns {Array} Games paired as a result
+     */
+    setArenaPaused(playerId, paused = true, now = Date.now()) {
+        if (!this.arena) throw new Error('The arena has not started yet');
+        this.arena.paused = this.arena.paused.filter(id => id !== playerId);
+        if (paused) {
+            this.arena.paused.push(playerId);
+            return [];
         }
+        return this.pairArena(now);
+    }
 
-        this.pairingSystem = system;
-
-        if (system === 'knockout') {
-            return this.generateKnockoutPairings();
-        } else if (system === 'swiss') {
-            return this.generateSwissPairings();
-        } else {
-            return this.generateRoundRobinPairings();
-        }
+    /**
+     * Live arena overview
+     * @param {number} now - Current time in ms
+     * @returns {{timeLeft: number, over: boolean, playing: Array, finished: Array, waiting: Array, paused: Array}}
+     *          playing / finished: games (finished most recent first); waiting / paused: players
+     */
+    getArenaStatus(now = Date.now()) {
+        const games = this.getArenaGames();
+        const playing = games.filter(g => !g.resultRecorded);
+        const busy = new Set(playing.flatMap(g => [g.player1Id, g.player2Id]));
+        const paused = this.arena ? this.arena.paused : [];
+        return {
+            timeLeft: this.arena ? Math.max(0, this.arena.endsAt - now) : this.arenaSettings.durationMinutes * 60000,
+            over: this.arena !== null && now >= this.arena.endsAt,
+            playing,
+            finished: games.filter(g => g.resultRecorded).sort((a, b) => b.finishedAt - a.finishedAt),
+            waiting: this.players.filter(p => !busy.has(p.id) && !paused.includes(p.id)),
+            paused: this.players.filter(p => paused.includes(p.id))
+        };
     }
 
     /**
-     * Knockout/Elimination System Pairing Algorithm
-     * Winners advance, losers are eliminated
+     * Seed list for a bracket: highest rating first, registration order among equal ratings
      */
-    generateKnockoutPairings() {
-        // First round: pair all active players
-        if (this.currentRound === 0) {
-            this.activePlayers = [...this.players];
-            this.eliminatedPlayers = [];
-        } else {
-            // For rounds 2+, check if previous round results are recorded
-            const previousRound = this.currentRound;
-            if (!this.areAllResultsRecorded(previousRound)) {
-                throw new Error('Please record results for all matches in the previous round before generating next round.');
-            }
-            
-            // Process bye matches
-            this.processByeMatches();
-            
-            // Update active players based on recorded results
-            this.updateActivePlayersFromResults(previousRound);
-        }
+    seedOrder(players) {
+        return players
+            .map((player, index) => ({ player, index }))
+            .sort((a, b) => b.player.rating - a.player.rating || a.index - b.index)
+            .map(entry => entry.player.id);
+    }
 
-        if (this.activePlayers.length < 2) {
-            if (this.activePlayers.length === 1) {
-                throw new Error(`🎉 Tournament Complete! Winner: ${this.activePlayers[0].id}`);
-            } else {
-                throw new Error('No players remaining in tournament');
-            }
+    /**
+     * Pair the next round from the fixed bracket
+     * @param {Function} isDue - (match) => true when a ready match belongs in this round
+     */
+    generateBracketPairings(isDue) {
+        const state = this.getBracketState();
+        if (state.champion) {
+            throw new Error(`🎉 Tournament Complete! Winner: ${state.champion}`);
         }
 
+        const recorded = new Set(this.rounds.flatMap(r => r.pairings.map(p => p.matchId)));
+        const byId = new Map(this.players.map(p => [p.id, p]));
         const pairings = [];
-        let playersToPair = [...this.activePlayers];
-
-        // Every round: pair by similar rating (1v2, 3v4, 5v6...) for fair matchups
-        playersToPair.sort((a, b) => b.rating - a.rating);
-
-        // Bye = lowest-rated player (last in sorted list)
-        let byePlayer = null;
-        if (playersToPair.length % 2 === 1) {
-            byePlayer = playersToPair.pop();
-            byePlayer.bye = true;
-        }
+        state.matches.forEach(match => {
+            if (recorded.has(match.id) || !isDue(match)) return;
+            if (match.status === MATCH_READY) {
+                pairings.push({
+                    player1: byId.get(match.players[0]),
+                    player2: byId.get(match.players[1]),
+                    round: this.currentRound + 1,
+                    knockout: true,
+                    matchId: match.id,
+                    bracket: match.bracket,
+                    bracketRound: match.bracketRound
+                });
+            } else if (match.status === MATCH_BYE && match.bracket === BRACKET_WINNERS && match.bracketRound === 1) {
+                // First-round byes are listed so the seeds know they go straight through
+                pairings.push({
+                    player1: byId.get(match.winner),
+                    player2: null,
+                    round: this.currentRound + 1,
+                    bye: true,
+                    knockout: true,
+                    matchId: match.id,
+                    bracket: match.bracket,
+                    bracketRound: match.bracketRound
+                });
+            }
+        });
 
-        // Pair remaining players
-        for (let i = 0; i < playersToPair.length; i += 2) {
-            pairings.push({
-                player1: playersToPair[i],
-                player2: playersToPair[i + 1],
-                round: this.currentRound + 1,
-                knockout: true
-            });
+        if (!pairings.some(p => !p.bye)) {
+            throw new Error('No bracket matches are ready to be played.');
         }
 
-        // Add bye if needed
-        if (byePlayer) {
-            pairings.push({
-                player1: byePlayer,
-                player2: null,
-                round: this.currentRound + 1,
-                bye: true,
-                knockout: true
-            });
-        }
+        // A player who has withdrawn or is absent loses the match by walkover (player1 goes through if both are missing)
+        const round = this.currentRound + 1;
+        const walkoverWinner = (p) => {
+            if (p.bye || (this.isAvailable(p.player1, round) && this.isAvailable(p.player2, round))) return null;
+            return this.isAvailable(p.player2, round) ? p.player2.id : p.player1.id;
+        };
 
-        // Save round
         this.rounds.push({
-            round: this.currentRound + 1,
-            pairings: pairings.map(p => ({
-                player1Id: p.player1.id,
-                player2Id: p.player2?.id || null,
-                bye: p.bye || false,
-                knockout: true,
-                winnerId: null, // Will be set when result is recorded
-                resultRecorded: false
-            }))
+            round,
+            pairings: pairings.map(p => {
+                const walkover = walkoverWinner(p);
+                return {
+                    player1Id: p.player1.id,
+                    player2Id: p.player2?.id || null,
+                    bye: p.bye || false,
+                    knockout: true,
+                    matchId: p.matchId,
+                    bracket: p.bracket,
+                    bracketRound: p.bracketRound,
+                    winnerId: p.bye ? p.player1.id : walkover,
+                    resultRecorded: p.bye || walkover !== null,
+                    ...(walkover ? { walkover: true } : {}),
+                    ...(p.bye || walkover ? {} : this.newMiniMatch(p.player1.id, p.player2.id))
+                };
+            })
         });
 
         this.currentRound++;
+        this.recomputeStats();
         return pairings;
     }
 
+    /**
+     * Saved mini-match fields for a new knockout pairing (none for a single-game format)
+     * Each pairing keeps its own copy of the format, so changing it later only affects new matches.
+     */
+    newMiniMatch(player1Id, player2Id) {
+        if (isSingleGameFormat(this.knockoutFormat)) return {};
+        const format = { ...this.knockoutFormat };
+        return { format, games: miniMatchState(format, player1Id, player2Id).games };
+    }
+
+    /**
+     * The fixed bracket with the recorded results applied
+     * @returns {{matches: Array, champion: string|null}} See resolveBracket()
+     */
+    getBracketState() {
+        if (!this.bracket) return { matches: [], champion: null };
+        const results = new Map();
+        this.rounds.forEach(roundData => {
+            roundData.pairings.forEach(p => {
+                if (p.matchId && p.resultRecorded && !p.bye) results.set(p.matchId, p.winnerId);
+            });
+        });
+        const matches = this.bracket.system === 'double-elimination'
+            ? buildDoubleEliminationBracket(this.bracket.seeds.length, { reset: this.bracket.reset })
+            : buildSingleEliminationBracket(this.bracket.seeds.length);
+        return resolveBracket(matches, this.bracket.seeds, results);
+    }
+
+    /**
+     * Display name of a bracket match, e.g. "Quarter-final" or "Losers R3" (null outside brackets)
+     */
+    getMatchLabel(pairing) {
+        if (!pairing || !pairing.bracket || !this.bracket) return null;
+        if (this.bracket.system === 'knockout') {
+            return knockoutRoundName(pairing.bracketRound, Math.log2(bracketSize(this.bracket.seeds.length)));
+        }
+        return bracketMatchLabel(pairing.bracket, pairing.bracketRound);
+    }
+
     /**
      * Record match result for knockout system
      * @param {number} round - Round number
@@ -182,32 +1223,72 @@ class Tournament {
 
         if (!pairing) return false;
 
+        // Mini-match: the games decide, the arbiter only when every tiebreak is used up
+        if (pairing.format && this.getMiniMatch(pairing).status !== 'level') {
+            throw new Error('Record the individual games: the winner of this match follows from them.');
+        }
+
         pairing.winnerId = winnerId;
         pairing.resultRecorded = true;
 
-        // Update player stats
-        const winner = this.players.find(p => p.id === winnerId);
-        const loserId = winnerId === player1Id ? player2Id : player1Id;
-        const loser = loserId ? this.players.find(p => p.id === loserId) : null;
+        // Update player stats (the loser is eliminated and leaves the active players)
+        this.recomputeStats();
+        return true;
+    }
 
-        if (winner) {
-            winner.wins++;
-            winner.score += 1;
-            winner.lastResult = 'win';
+    /**
+     * Record one game of a knockout mini-match; tiebreak games are added while the match is level
+     * @param {number} gameIndex - Position in pairing.games (only the next game, or a played one to correct it)
+     * @param {string} result - '1-0', '0-1', '0.5-0.5' (White first)
+     */
+    recordKnockoutGame(round, player1Id, player2Id, gameIndex, result) {
+        const pairing = this.findPairing(round, player1Id, player2Id);
+        if (!pairing || !pairing.format) return false;
+        if (!['1-0', '0-1', '0.5-0.5'].includes(result)) {
+            throw new Error(`Invalid game result: ${result}`);
         }
-
-        if (loser) {
-            loser.eliminated = true;
-            loser.losses++;
-            loser.lastResult = 'loss';
-            // Remove from active players
-            this.eliminatedPlayers.push(loser);
-            this.activePlayers = this.activePlayers.filter(p => p.id !== loserId);
+        const results = pairing.games.map(g => g.result);
+        const next = results.indexOf(null);
+        if (gameIndex < 0 || gameIndex >= results.length || (next !== -1 && gameIndex > next)) return false;
+        if (pairing.resultRecorded || gameIndex < next || next === -1) {
+            // Correcting a played game: later games depended on it and are dropped
+            const check = this.checkResultChange(round);
+            if (!check.allowed) throw new Error(check.warning);
         }
 
+        results.splice(gameIndex, results.length, result);
+        this.applyMiniMatch(pairing, results);
+        return true;
+    }
+
+    /**
+     * Clear a game of a knockout mini-match and every game after it
+     */
+    clearKnockoutGame(round, player1Id, player2Id, gameIndex) {
+        const pairing = this.findPairing(round, player1Id, player2Id);
+        if (!pairing || !pairing.format || !pairing.games[gameIndex] || !pairing.games[gameIndex].result) return false;
+        const check = this.checkResultChange(round);
+        if (!check.allowed) throw new Error(check.warning);
+
+        this.applyMiniMatch(pairing, pairing.games.slice(0, gameIndex).map(g => g.result));
         return true;
     }
 
+    /**
+     * Mini-match state of a knockout pairing (see miniMatchState())
+     */
+    getMiniMatch(pairing) {
+        return miniMatchState(pairing.format, pairing.player1Id, pairing.player2Id, pairing.games.map(g => g.result));
+    }
+
+    applyMiniMatch(pairing, results) {
+        const state = miniMatchState(pairing.format, pairing.player1Id, pairing.player2Id, results);
+        pairing.games = state.games;
+        pairing.winnerId = state.winnerId;
+        pairing.resultRecorded = state.winnerId !== null;
+        this.recomputeStats();
+    }
+
     /**
      * Check if all matches in a round have results recorded
      * @param {number} round - Round number
@@ -220,45 +1301,56 @@ class Tournament {
     }
 
     /**
-     * Process bye matches automatically (for knockout system)
+     * Games in a round that still need a result (byes and deferred games don't count)
+     * @param {number} round - Round number
+     * @returns {Array} Saved pairings without a result
      */
-    processByeMatches() {
-        if (this.rounds.length === 0) return;
-
-        const lastRound = this.rounds[this.rounds.length - 1];
-        if (!lastRound || !lastRound.pairings) return;
-
-        lastRound.pairings.forEach(pairing => {
-            if (pairing.bye && !pairing.resultRecorded) {
-                // Bye player advances automatically
-                const byePlayer = this.activePlayers.find(p => p.id === pairing.player1Id);
-                if (byePlayer) {
-                    pairing.winnerId = pairing.player1Id;
-                    pairing.resultRecorded = true;
-                    byePlayer.wins++;
-                    byePlayer.score += 1;
-                }
-            }
-        });
+    getMissingResults(round) {
+        const roundData = this.rounds.find(r => r.round === round);
+        if (!roundData) return [];
+        return roundData.pairings.filter(p => !p.resultRecorded && !p.bye && !p.deferred);
     }
 
     /**
-     * Update active players based on recorded results from previous round
+     * Where a round is in its lifecycle
+     * @param {number} round - Round number
+     * @returns {{status: string, missing: Array, deferred: Array}} status is one of ROUND_*,
+     *          or null when the round hasn't been paired
      */
-    updateActivePlayersFromResults(round) {
+    getRoundStatus(round) {
         const roundData = this.rounds.find(r => r.round === round);
-        if (!roundData) return;
-
-        // Get all winners from the round
-        const winners = new Set();
-        roundData.pairings.forEach(pairing => {
-            if (pairing.winnerId) {
-                winners.add(pairing.winnerId);
-            }
-        });
+        if (!roundData) return { status: null, missing: [], deferred: [] };
+
+        const missing = this.getMissingResults(round);
+        const deferred = roundData.pairings.filter(p => p.deferred && !p.resultRecorded);
+        const recorded = roundData.pairings.filter(p => p.resultRecorded && !p.bye);
+
+        let status;
+        if (this.rounds.some(r => r.round > round)) {
+            status = ROUND_NEXT_PAIRED;
+        } else if (missing.length === 0) {
+            status = ROUND_COMPLETE;
+        } else if (recorded.length > 0 || deferred.length > 0) {
+            status = ROUND_RESULTS_PENDING;
+        } else {
+            status = ROUND_OPEN;
+        }
+        return { status, missing, deferred };
+    }
 
-        // Update active players to only include winners
-        this.activePlayers = this.activePlayers.filter(p => winners.has(p.id));
+    /**
+     * Arbiter override: let the next round be paired while this game is decided later.
+     * Not available in knockout, where the winner is needed for the next pairing.
+     * @param {boolean} deferred - false to undo the override
+     */
+    deferResult(round, player1Id, player2Id, deferred = true) {
+        const pairing = this.findPairing(round, player1Id, player2Id);
+        if (!pairing || pairing.bye || pairing.resultRecorded) return false;
+        if (pairing.knockout) {
+            throw new Error('Knockout games cannot be deferred: the winner is needed for the next round.');
+        }
+        pairing.deferred = deferred;
+        return true;
     }
 
     /**
@@ -274,8 +1366,13 @@ class Tournament {
      * Round 2+: Same score group play each other (winners vs winners, losers vs losers)
      */
     generateSwissPairings() {
-        // Round 1: Similar rating pairing (fair first round)
-        if (this.currentRound === 0) {
+        if (this.currentRound >= this.plannedRounds) {
+            throw new Error(`🎉 Tournament Complete! All ${this.plannedRounds} Swiss rounds have been played.`);
+        }
+
+        // Round 1: Similar rating pairing (fair first round); with avoidance rules the engine
+        // pairs it instead, which gives the same 1v2, 3v4 pairing wherever no rule is in the way
+        if (this.currentRound === 0 && this.avoidanceRules.length === 0) {
             return this.generateSwissRound1();
         }
 
@@ -288,21 +1385,22 @@ class Tournament {
      */
     generateSwissRound1() {
         // Sort by rating descending – then pair consecutive: (1,2), (3,4), (5,6)...
-        const sortedPlayers = [...this.players].sort((a, b) => b.rating - a.rating);
+        const sortedPlayers = this.availablePlayers(1).sort((a, b) => b.rating - a.rating);
 
         let playersToPair = [...sortedPlayers];
         let byePlayer = null;
 
         if (playersToPair.length % 2 === 1) {
             byePlayer = playersToPair.pop();
-            byePlayer.bye = true;
         }
 
         const pairings = [];
         for (let i = 0; i < playersToPair.length; i += 2) {
+            // Nobody has a colour yet: alternate White by board
+            const [white, black] = allocateColors(playersToPair[i], playersToPair[i + 1], i / 2);
             pairings.push({
-                player1: playersToPair[i],
-                player2: playersToPair[i + 1],
+                player1: white,
+                player2: black,
                 round: 1
             });
         }
@@ -318,79 +1416,33 @@ class Tournament {
 
         this.rounds.push({
             round: 1,
-            pairings: pairings.map(p => ({
-                player1Id: p.player1.id,
-                player2Id: p.player2?.id || null,
-                bye: p.bye || false,
-                resultRecorded: false,
-                result: null
-            }))
+            pairings: [...pairings.map(p => this.toRoundPairing(p)), ...this.requestedByeEntries(1)]
         });
+        this.recomputeStats(); // picks up the new colours
 
         this.currentRound = 1;
         return pairings;
     }
 
     /**
-     * Swiss Round 2+: Same score group aapas me + within group pair by similar rating
+     * Swiss Round 2+: Same score group aapas me, no rematches.
+     * Players who can't be paired inside their score group float to the nearest group that works.
+     * Avoidance rules that apply to this round are passed to the engine; any it has to break are reported.
      */
     generateSwissRound2Plus() {
-        // Sort by score (desc), then by rating (desc) – same score together, then similar rating nearby
-        const sortedPlayers = [...this.players].sort((a, b) => {
-            if (b.score !== a.score) return b.score - a.score;
-            return b.rating - a.rating;
-        });
-
-        let playersToPair = [...sortedPlayers];
-        let byePlayer = null;
-
-        if (playersToPair.length % 2 === 1) {
-            for (let i = playersToPair.length - 1; i >= 0; i--) {
-                if (!playersToPair[i].bye) {
-                    byePlayer = playersToPair.splice(i, 1)[0];
-                    break;
-                }
-            }
-            if (!byePlayer) {
-                byePlayer = playersToPair.pop();
-            }
-            byePlayer.bye = true;
-        }
-
-        const pairings = [];
-        const used = new Set();
-
-        // Group by score
-        const scoreGroups = {};
-        playersToPair.forEach(p => {
-            if (!scoreGroups[p.score]) scoreGroups[p.score] = [];
-            scoreGroups[p.score].push(p);
+        const round = this.currentRound + 1;
+        const engine = new SwissPairingEngine({
+            opponents: this.getOpponentMap(),
+            previousByes: this.getByeCounts(),
+            conflict: (a, b) => this.pairingConflict(a, b, round)
         });
+        const { pairs, byePlayer, warnings } = engine.pair(this.availablePlayers(round));
 
-        const scoreKeys = Object.keys(scoreGroups).map(Number).sort((a, b) => b - a);
-
-        for (const score of scoreKeys) {
-            const group = scoreGroups[score].filter(p => !used.has(p.id));
-            // Within same score group: sort by rating and pair consecutive (1v2, 3v4) = similar rating
-            group.sort((a, b) => b.rating - a.rating);
-            for (let i = 0; i + 1 < group.length; i += 2) {
-                pairings.push({
-                    player1: group[i],
-                    player2: group[i + 1],
-                    round: this.currentRound + 1
-                });
-                used.add(group[i].id);
-                used.add(group[i + 1].id);
-            }
-            // Float odd one to next score group
-            if (group.length % 2 === 1) {
-                const floatPlayer = group[group.length - 1];
-                const nextScore = scoreKeys.find(s => s < score);
-                if (nextScore !== undefined && scoreGroups[nextScore]) {
-                    scoreGroups[nextScore].push(floatPlayer);
-                }
-            }
-        }
+        const pairings = pairs.map(([white, black]) => ({
+            player1: white,
+            player2: black,
+            round: this.currentRound + 1
+        }));
 
         if (byePlayer) {
             pairings.push({
@@ -403,87 +1455,138 @@ class Tournament {
 
         // Save round
         this.rounds.push({
-            round: this.currentRound + 1,
-            pairings: pairings.map(p => ({
-                player1Id: p.player1.id,
-                player2Id: p.player2?.id || null,
-                bye: p.bye || false,
-                resultRecorded: false,
-                result: null
-            }))
+            round,
+            pairings: [...pairings.map(p => this.toRoundPairing(p)), ...this.requestedByeEntries(round)],
+            warnings
         });
+        this.recomputeStats();
 
         this.currentRound++;
         return pairings;
     }
 
     /**
-     * Round-Robin Pairing Algorithm (circle method)
-     * Pairs every player with every other player exactly once
+     * Saved form of a coloured pairing (player1 plays White)
+     */
+    toRoundPairing(pairing) {
+        return {
+            player1Id: pairing.player1.id,
+            player2Id: pairing.player2?.id || null,
+            whiteId: pairing.player2 ? pairing.player1.id : null,
+            blackId: pairing.player2?.id || null,
+            bye: pairing.bye || false,
+            ...(pairing.bye ? { byeType: BYE_PAIRED } : {}),
+            resultRecorded: Boolean(pairing.bye), // the pairing bye is scored straight away
+            result: null // a GAME_RESULTS key, player1 first
+        };
+    }
+
+    /**
+     * How many pairing byes each player has been given (from the saved rounds; requested byes and
+     * absences don't count). A forfeit win counts as one too: a player who has already scored
+     * without playing doesn't get the bye (FIDE C.04.1).
+     * @returns {Map<string, number>} Player ID -> bye count
+     */
+    getByeCounts() {
+        const counts = new Map(this.players.map(p => [p.id, 0]));
+        const count = (id) => {
+            if (counts.has(id)) counts.set(id, counts.get(id) + 1);
+        };
+        this.rounds.forEach(roundData => {
+            roundData.pairings.forEach(p => {
+                if (!p.player2Id && (p.byeType || BYE_PAIRED) === BYE_PAIRED) count(p.player1Id);
+                if (p.result === '+/-') count(p.player1Id);
+                if (p.result === '-/+') count(p.player2Id);
+            });
+        });
+        return counts;
+    }
+
+    /**
+     * Everyone each player has been paired against so far (from the saved rounds, recorded or not)
+     * @returns {Map<string, Set<string>>} Player ID -> opponent IDs
+     */
+    getOpponentMap() {
+        const opponents = new Map(this.players.map(p => [p.id, new Set()]));
+        this.rounds.forEach(roundData => {
+            roundData.pairings.forEach(p => {
+                if (!p.player2Id) return;
+                if (opponents.has(p.player1Id)) opponents.get(p.player1Id).add(p.player2Id);
+                if (opponents.has(p.player2Id)) opponents.get(p.player2Id).add(p.player1Id);
+            });
+        });
+        return opponents;
+    }
+
+    /**
+     * Round-Robin Pairing Algorithm (Berger tables)
+     * Pairs every player with every other player once (twice in a double round-robin) by their fixed
+     * pairing numbers. With an odd field the extra Berger number is a bye. When one player of a scheduled
+     * game is absent or has withdrawn, the game is not played and the other player gets the point as a bye.
      */
     generateRoundRobinPairings() {
         const n = this.players.length;
-        const totalRounds = n % 2 === 1 ? n : n - 1; // odd: n rounds (each gets bye once), even: n-1
-        if (this.currentRound >= totalRounds) {
-            throw new Error('Round-robin tournament complete! All players have played each other.');
+        if (this.currentRound >= this.getTotalRounds('round-robin')) {
+            throw new Error(`Round-robin tournament complete! All players have played each other${this.roundRobinCycles === 2 ? ' twice' : ''}.`);
         }
 
+        const byId = new Map(this.players.map(p => [p.id, p]));
+        const numbers = this.getPairingNumbers();
+        const byNumber = (num) => (num <= n ? byId.get(numbers[num - 1]) : null);
+        const round = this.currentRound + 1;
         const pairings = [];
-        const players = [...this.players];
-        const r = this.currentRound; // 0-indexed round
-
-        if (n % 2 === 1) {
-            // Odd: fix player 0, rotate others. One player gets bye each round.
-            const others = players.slice(1);
-            const len = others.length; // n-1 (even when n is odd)
-            const rotated = others.map((_, i) => others[(i + r) % len]);
+        const unplayed = [];
+        let byePlayer = null;
+        // A player missing from the round keeps their requested absence (a withdrawn player gets nothing)
+        const skip = (player) => {
+            const request = this.byeRequests.find(r => r.playerId === player.id && r.round === round);
+            if (request) unplayed.push(unpairedRoundEntry(player.id, request.byeType));
+        };
+
+        if (this.currentRound === 0) this.getRoundRobinSchedule(); // checks the colours
+        roundRobinBoards(n, round, this.roundRobinCycles).forEach(([whiteNum, blackNum]) => {
+            const white = byNumber(whiteNum);
+            const black = byNumber(blackNum);
+            if (!white || !black) {
+                byePlayer = white || black;
+                return;
+            }
+            const whitePlays = this.isAvailable(white, round);
+            const blackPlays = this.isAvailable(black, round);
+            if (whitePlays !== blackPlays) {
+                // The scheduled opponent doesn't play: a forfeit win, not a bye
+                unplayed.push({ ...this.toRoundPairing({ player1: white, player2: black }), resultRecorded: true, result: whitePlays ? '+/-' : '-/+' });
+                return;
+            }
+            if (!whitePlays) {
+                skip(white);
+                skip(black);
+                return;
+            }
             pairings.push({
-                player1: players[0],
-                player2: rotated[0],
+                player1: white,
+                player2: black,
                 round: this.currentRound + 1
             });
-            for (let i = 1; i <= len / 2 - 1; i++) {
-                pairings.push({
-                    player1: rotated[i],
-                    player2: rotated[len - i],
-                    round: this.currentRound + 1
-                });
-            }
-            const byePlayer = rotated[len / 2];
+        });
+
+        if (byePlayer && this.isAvailable(byePlayer, round)) {
             pairings.push({
                 player1: byePlayer,
                 player2: null,
-                round: this.currentRound + 1,
+                round,
                 bye: true
             });
-            byePlayer.bye = true;
-        } else {
-            // Even: circle method - fix players[0], rotate players[1..n-1]
-            const others = players.slice(1);
-            const len = others.length; // n-1
-            const rotated = [players[0], ...others.map((_, i) => others[(i + r) % len])];
-            for (let i = 0; i < rotated.length / 2; i++) {
-                const p1 = rotated[i];
-                const p2 = rotated[rotated.length - 1 - i];
-                pairings.push({
-                    player1: p1,
-                    player2: p2,
-                    round: this.currentRound + 1
-                });
-            }
+        } else if (byePlayer) {
+            skip(byePlayer);
         }
 
         // Save round (with result tracking for UI)
         this.rounds.push({
-            round: this.currentRound + 1,
-            pairings: pairings.map(p => ({
-                player1Id: p.player1.id,
-                player2Id: p.player2?.id || null,
-                bye: p.bye || false,
-                resultRecorded: false,
-                result: null // '1-0', '0-1', '0.5-0.5'
-            }))
+            round,
+            pairings: [...pairings.map(p => this.toRoundPairing(p)), ...unplayed]
         });
+        this.recomputeStats();
 
         this.currentRound++;
         return pairings;
@@ -494,9 +1597,10 @@ class Tournament {
      * @param {number} round - Round number
      * @param {string} player1Id
      * @param {string} player2Id - null for bye
-     * @param {string} result - '1-0', '0-1', '0.5-0.5'
+     * @param {string} result - A GAME_RESULTS key: '1-0', '0-1', '0.5-0.5', a forfeit ('+/-', '-/+', '-/-'), '0-0' or '*'
      */
     recordRoundResult(round, player1Id, player2Id, result) {
+        if (player2Id) validateResult(result);
         const roundData = this.rounds.find(r => r.round === round);
         if (!roundData) return false;
 
@@ -505,83 +1609,146 @@ class Tournament {
         );
         if (!pairing || pairing.resultRecorded) return false;
 
-        if (pairing.bye) {
-            pairing.resultRecorded = true;
-            pairing.result = '1-0';
-            const byePlayer = this.players.find(p => p.id === player1Id);
-            if (byePlayer) {
-                byePlayer.score += 1;
-                byePlayer.wins++;
-            }
+        pairing.deferred = false;
+        if (player2Id && isPendingResult(result)) {
+            // Adjourned: noted on the pairing, which still needs its result
+            pairing.result = result;
             return true;
         }
-
-        this.recordResult(player1Id, player2Id, result);
         pairing.resultRecorded = true;
-        pairing.result = result;
+        pairing.result = pairing.bye ? null : result;
+        this.recomputeStats();
         return true;
     }
 
     /**
-     * Record match result
-     * @param {string} player1Id 
-     * @param {string} player2Id 
-     * @param {string} result - '1-0', '0-1', '0.5-0.5'
+     * Find a saved pairing by round and players (player2Id null for a bye)
      */
-    recordResult(player1Id, player2Id, result) {
-        const p1 = this.players.find(p => p.id === player1Id);
-        const p2 = this.players.find(p => p.id === player2Id);
+    findPairing(round, player1Id, player2Id) {
+        const roundData = this.rounds.find(r => r.round === round);
+        if (!roundData) return null;
+        return roundData.pairings.find(p =>
+            p.player1Id === player1Id && (p.player2Id === player2Id || (!p.player2Id && !player2Id))
+        ) || null;
+    }
 
-        if (!p1 || !p2) return;
+    /**
+     * Check whether a recorded result in this round may still be changed
+     * Knockout / double elimination: only in the latest round (later rounds were paired with the winner).
+     * Swiss: later rounds were paired from the old scores, so the change needs confirming.
+     * Round-Robin: the schedule doesn't depend on results, always allowed.
+     * Qualifying rounds once the playoff has started: it was seeded from the old standings, so the change needs confirming.
+     * @returns {{allowed: boolean, warning: string|null}}
+     */
+    checkResultChange(round) {
+        const later = this.rounds.filter(r => r.round > round).map(r => r.round);
+        if (later.length === 0) return { allowed: true, warning: null };
 
-        // Parse result
-        const [score1, score2] = result.split('-').map(Number);
+        const rounds = later.length > 1 ? `Rounds ${later.join(', ')} were` : `Round ${later[0]} was`;
+        if (this.isKnockoutRound(round)) {
+            return {
+                allowed: false,
+                warning: `${rounds} already paired with the winners of round ${round}. Knockout results can only be changed in the latest round.`
+            };
+        }
+        if (this.playoff && this.playoff.startRound) {
+            return {
+                allowed: true,
+                warning: `The playoff was already seeded from the standings after round ${this.playoff.startRound - 1}. Changing this result will not re-seed it.`
+            };
+        }
+        if (this.pairingSystem === 'swiss') {
+            return {
+                allowed: true,
+                warning: `${rounds} already paired using the scores from round ${round}. Changing this result will not re-pair ${later.length > 1 ? 'them' : 'it'}.`
+            };
+        }
+        return { allowed: true, warning: null };
+    }
 
-        // Update scores
-        p1.score += score1;
-        p2.score += score2;
+    /**
+     * Clear a recorded Swiss / Round-Robin result and roll back both players' stats
+     * @param {Object} options - { force: true } to go ahead despite a checkResultChange() warning
+     * @returns {boolean} false when there is no recorded result to clear
+     */
+    clearRoundResult(round, player1Id, player2Id, options = {}) {
+        const pairing = this.findPairing(round, player1Id, player2Id);
+        if (!pairing || !pairing.resultRecorded || pairing.knockout) return false;
 
-        // Update record
-        if (score1 > score2) {
-            p1.wins++;
-            p2.losses++;
-        } else if (score2 > score1) {
-            p2.wins++;
-            p1.losses++;
-        } else {
-            p1.draws++;
-            p2.draws++;
+        const check = this.checkResultChange(round);
+        if (!check.allowed || (check.warning && !options.force)) {
+            throw new Error(check.warning);
         }
 
-        // Track opponents
-        if (!p1.opponents.includes(p2.id)) {
-            p1.opponents.push(p2.id);
+        pairing.resultRecorded = false;
+        pairing.result = null;
+        this.recomputeStats();
+        return true;
+    }
+
+    /**
+     * Replace a recorded Swiss / Round-Robin result
+     * @param {string} result - A GAME_RESULTS key
+     * @param {Object} options - { force: true } to go ahead despite a checkResultChange() warning
+     */
+    correctRoundResult(round, player1Id, player2Id, result, options = {}) {
+        validateResult(result);
+        if (!this.clearRoundResult(round, player1Id, player2Id, options)) return false;
+        return this.recordRoundResult(round, player1Id, player2Id, result);
+    }
+
+    /**
+     * Clear a recorded knockout result: the winner loses the point, the loser is back in the tournament
+     * (a mini-match loses its deciding game; one settled by the arbiter keeps its games)
+     * @returns {boolean} false when there is no recorded result to clear
+     */
+    clearKnockoutResult(round, player1Id, player2Id) {
+        const pairing = this.findPairing(round, player1Id, player2Id);
+        if (!pairing || !pairing.resultRecorded || pairing.bye) return false;
+
+        const check = this.checkResultChange(round);
+        if (!check.allowed) {
+            throw new Error(check.warning);
         }
-        if (!p2.opponents.includes(p1.id)) {
-            p2.opponents.push(p1.id);
+
+        if (pairing.format && this.getMiniMatch(pairing).status !== 'level') {
+            // Mini-match: take back the deciding game
+            this.applyMiniMatch(pairing, pairing.games.map(g => g.result).filter(Boolean).slice(0, -1));
+            return true;
         }
+        pairing.winnerId = null;
+        pairing.resultRecorded = false;
+        delete pairing.walkover;
+        this.recomputeStats();
+        return true;
+    }
+
+    /**
+     * Replace a recorded knockout result with a different winner
+     */
+    correctKnockoutResult(round, player1Id, player2Id, winnerId) {
+        if (!this.clearKnockoutResult(round, player1Id, player2Id)) return false;
+        return this.recordKnockoutResult(round, player1Id, player2Id, winnerId);
     }
 
     /**
-     * Get standings sorted by score
+     * Get standings sorted by score (then the tournament's tie-breaks, then rating)
      * @param {string} sortBy - 'score', 'name', 'rating'
+     * @returns {Array} Players with rank, tieBreaks ({ key: value } for each selected tie-break) and elo (see computeEloStats)
      */
     getStandings(sortBy = 'score') {
-        const standings = [...this.players];
-
-        standings.sort((a, b) => {
-            if (sortBy === 'score') {
-                if (b.score !== a.score) {
-                    return b.score - a.score;
-                }
-                return b.rating - a.rating;
-            } else if (sortBy === 'name') {
-                return a.id.localeCompare(b.id);
-            } else if (sortBy === 'rating') {
-                return b.rating - a.rating;
-            }
-            return 0;
-        });
+        const ranked = new TieBreakEngine(this.rounds, this.players, this.byeSettings).rank(this.tieBreaks);
+        const elo = computeEloStats(this.rounds, this.players, this.kFactor);
+        const standings = ranked.map(entry => ({ ...entry.player, tieBreaks: entry.tieBreaks, elo: elo.get(entry.player.id) }));
+
+        if (this.arena && sortBy === 'score') {
+            // Arena points first; game points and tie-breaks only order players level on them
+            standings.sort((a, b) => b.arenaScore - a.arenaScore);
+        } else if (sortBy === 'name') {
+            standings.sort((a, b) => a.id.localeCompare(b.id));
+        } else if (sortBy === 'rating') {
+            standings.sort((a, b) => b.rating - a.rating);
+        }
 
         return standings.map((player, index) => ({
             rank: index + 1,
@@ -589,15 +1756,90 @@ class Tournament {
         }));
     }
 
+    /**
+     * A player's tournament game by game, built from the saved rounds (an arena lists its games in the order they finished)
+     * @param {string} playerId
+     * @returns {Array<{round, game, opponentId, opponentRating, color, points, played, adjourned, note, score}>}
+     *          points is null while a game has no result; score is the running score after the row
+     */
+    getPlayerHistory(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) throw new Error(`Unknown player: ${playerId}`);
+        const byId = new Map(this.players.map(p => [p.id, p]));
+        const involves = (p) => p.player1Id === playerId || p.player2Id === playerId;
+        const notes = { '0-0': 'Both lose', '-/-': 'Double forfeit' };
+        const history = [];
+        let score = 0;
+
+        [...this.rounds].sort((a, b) => a.round - b.round).forEach(roundData => {
+            const pairings = roundData.arena
+                ? roundData.pairings.filter(involves).sort((a, b) => (a.finishedAt ?? Infinity) - (b.finishedAt ?? Infinity) || a.game - b.game)
+                : roundData.pairings.filter(involves);
+            const base = { round: roundData.round, game: null, opponentId: null, opponentRating: null, color: null, points: 0, played: false, adjourned: false, note: '' };
+
+            if (pairings.length === 0 && !roundData.arena) {
+                const withdrawn = player.withdrawnAfter !== null && player.withdrawnAfter !== undefined && roundData.round > player.withdrawnAfter;
+                history.push({ ...base, note: withdrawn ? 'Withdrawn' : 'Not paired', score });
+                return;
+            }
+            pairings.forEach(p => {
+                const row = { ...base, game: roundData.arena ? p.game : null };
+                if (!p.player2Id) {
+                    row.points = p.resultRecorded ? byePoints(p, this.byeSettings) : null;
+                    row.note = BYE_LABELS[p.byeType || BYE_PAIRED];
+                } else {
+                    const isPlayer1 = p.player1Id === playerId;
+                    row.opponentId = isPlayer1 ? p.player2Id : p.player1Id;
+                    row.opponentRating = byId.has(row.opponentId) ? byId.get(row.opponentId).rating : null;
+                    if (p.whiteId) row.color = p.whiteId === playerId ? WHITE : BLACK;
+                    if (!p.resultRecorded) {
+                        row.points = null;
+                        row.adjourned = isPendingResult(p.result);
+                        row.note = row.adjourned ? resultLabel(p.result) : p.deferred ? 'Decided later' : '';
+                    } else if (p.knockout) {
+                        row.points = p.winnerId === playerId ? 1 : 0;
+                        row.played = !p.walkover;
+                        row.note = p.walkover ? 'Walkover' : '';
+                    } else {
+                        const [points1, points2] = resultPoints(p.result);
+                        row.points = isPlayer1 ? points1 : points2;
+                        row.played = isPlayedResult(p.result);
+                        row.note = row.played ? '' : notes[p.result] || 'Forfeit';
+                    }
+                }
+                score += row.points || 0;
+                history.push({ ...row, score });
+            });
+        });
+        return history;
+    }
+
     /**
      * Reset tournament but keep players
      */
     resetTournament() {
         this.rounds = [];
         this.currentRound = 0;
-        this.eliminatedPlayers = [];
-        this.activePlayers = [...this.players];
         this.matchResults = [];
+        this.bracket = null;
+        this.arena = null;
+        this.byeRequests = [];
+        this.resetPlayoff();
+        this.players.forEach(player => {
+            player.enteredRound = 1;
+            player.withdrawnAfter = null;
+        });
+        this.recomputeStats();
+    }
+
+    /**
+     * Rebuild every player's stats from this.rounds, the single source of truth.
+     * Derived: score, wins, losses, draws, opponents, bye, lastResult, colors, eliminated, eliminatedInRound,
+     * arenaScore and onFire (arena only), and the knockout active/eliminated lists. Results only count once recorded;
+     * colours count from the moment a game is paired.
+     */
+    recomputeStats() {
+        const byId = new Map(this.players.map(p => [p.id, p]));
         this.players.forEach(player => {
             player.score = 0;
             player.opponents = [];
@@ -606,7 +1848,217 @@ class Tournament {
             player.draws = 0;
             player.bye = false;
             player.eliminated = false;
+            player.eliminatedInRound = null;
             player.lastResult = null;
+            player.colors = [];
+        });
+
+        const apply = (player, opponent, points, opponentPoints) => {
+            player.score += points;
+            if (points > opponentPoints) {
+                player.wins++;
+                player.lastResult = 'win';
+            } else if (points < opponentPoints) {
+                player.losses++;
+                player.lastResult = 'loss';
+            } else {
+                player.draws++;
+                player.lastResult = 'draw';
+            }
+            if (!player.opponents.includes(opponent.id)) player.opponents.push(opponent.id);
+        };
+        // Forfeits and unplayed games: the points count, but the players haven't met (a 0-0 is neither a win nor a loss)
+        const applyUnplayed = (player, points, opponentPoints) => {
+            player.score += points;
+            if (points > opponentPoints) {
+                player.wins++;
+                player.lastResult = 'win';
+            } else if (points < opponentPoints) {
+                player.losses++;
+                player.lastResult = 'loss';
+            }
+        };
+
+        const bracketLosses = new Map(); // losses in the bracket only, not in qualifying rounds
+        [...this.rounds].sort((a, b) => a.round - b.round).forEach(roundData => {
+            // Arena games count in the order they finished
+            const pairings = roundData.arena
+                ? [...roundData.pairings].sort((a, b) => (a.finishedAt ?? Infinity) - (b.finishedAt ?? Infinity) || a.game - b.game)
+                : roundData.pairings;
+            pairings.forEach(p => {
+                const p1 = byId.get(p.player1Id);
+                const p2 = p.player2Id ? byId.get(p.player2Id) : null;
+
+                // Forfeited and unplayed games don't count towards the colour history
+                if (p1 && p2 && p.whiteId && !(p.resultRecorded && !p.knockout && !isPlayedResult(p.result))) {
+                    const whiteIsP1 = p.whiteId === p1.id;
+                    p1.colors.push(whiteIsP1 ? WHITE : BLACK);
+                    p2.colors.push(whiteIsP1 ? BLACK : WHITE);
+                }
+                if (p1 && p2 && p.games) {
+                    // Knockout mini-match: every game played so far
+                    p.games.filter(g => g.result).forEach(g => {
+                        (g.whiteId === p1.id ? p1 : p2).colors.push(WHITE);
+                        (g.blackId === p1.id ? p1 : p2).colors.push(BLACK);
+                    });
+                }
+                if (!p.resultRecorded || !p1) return;
+
+                if (!p.player2Id) {
+                    // Scored bye: the pairing bye is worth what the organiser set, ½ or 0 for a requested bye or absence
+                    const points = byePoints(p, this.byeSettings);
+                    p1.score += points;
+                    if ((p.byeType || BYE_PAIRED) === BYE_PAIRED) {
+                        p1.bye = true;
+                        if (points === 1) {
+                            p1.wins++;
+                            p1.lastResult = 'win';
+                        }
+                    }
+                    return;
+                }
+                if (!p2) return;
+
+                if (p.knockout) {
+                    const p1Won = p.winnerId === p1.id;
+                    if (p.walkover) {
+                        applyUnplayed(p1, p1Won ? 1 : 0, p1Won ? 0 : 1);
+                        applyUnplayed(p2, p1Won ? 0 : 1, p1Won ? 1 : 0);
+                    } else {
+                        apply(p1, p2, p1Won ? 1 : 0, p1Won ? 0 : 1);
+                        apply(p2, p1, p1Won ? 0 : 1, p1Won ? 1 : 0);
+                    }
+                    // Single elimination: out on the first loss. Double: out on the second, or on losing
+                    // a grand final that has no bracket reset
+                    const loser = p1Won ? p2 : p1;
+                    bracketLosses.set(loser.id, (bracketLosses.get(loser.id) || 0) + 1);
+                    const doubleElimination = this.bracket && this.bracket.system === 'double-elimination';
+                    const finalDecides = p.bracket === BRACKET_FINAL && !this.bracket.reset;
+                    if (!doubleElimination || bracketLosses.get(loser.id) >= 2 || finalDecides) {
+                        loser.eliminated = true;
+                        loser.eliminatedInRound = roundData.round;
+                    }
+                } else if (isPlayedResult(p.result)) {
+                    const [score1, score2] = resultPoints(p.result);
+                    apply(p1, p2, score1, score2);
+                    apply(p2, p1, score2, score1);
+                } else {
+                    const [score1, score2] = resultPoints(p.result);
+                    applyUnplayed(p1, score1, score2);
+                    applyUnplayed(p2, score2, score1);
+                }
+            });
         });
+
+        if (this.arena) {
+            const arenaScores = computeArenaScores(this.getArenaGames(), this.arenaSettings);
+            this.players.forEach(player => {
+                const entry = arenaScores.get(player.id);
+                player.arenaScore = entry ? entry.score : 0;
+                player.onFire = entry ? entry.onFire : false;
+            });
+        }
+
+        // Players who didn't qualify for the playoff are out after the last qualifying round
+        if (this.playoff && this.playoff.startRound && this.bracket) {
+            const seeds = new Set(this.bracket.seeds);
+            this.players.filter(player => !seeds.has(player.id)).forEach(player => {
+                player.eliminated = true;
+                player.eliminatedInRound = this.playoff.startRound - 1;
+            });
+        }
+
+        this.eliminatedPlayers = this.players.filter(p => p.eliminated);
+        this.activePlayers = this.players.filter(p => !p.eliminated);
+    }
+
+    /**
+     * Serialise the whole tournament to a versioned, JSON-safe snapshot
+     * Player stats are saved for readability but rebuilt from the rounds on restore.
+     */
+    toSnapshot() {
+        return JSON.parse(JSON.stringify({
+            version: SNAPSHOT_VERSION,
+            id: this.id,
+            name: this.name,
+            savedAt: new Date().toISOString(),
+            pairingSystem: this.pairingSystem,
+            currentRound: this.currentRound,
+            plannedRounds: this.plannedRounds,
+            tieBreaks: this.tieBreaks,
+            grandFinalReset: this.grandFinalReset,
+            knockoutFormat: this.knockoutFormat,
+            bracket: this.bracket,
+            arenaSettings: this.arenaSettings,
+            arena: this.arena,
+            teams: this.teams,
+            teamBoards: this.teamBoards,
+            teamScoring: this.teamScoring,
+            avoidanceRules: this.avoidanceRules,
+            byeRequests: this.byeRequests,
+            byeSettings: this.byeSettings,
+            kFactor: this.kFactor,
+            roundRobinCycles: this.roundRobinCycles,
+            pairingNumberMethod: this.pairingNumberMethod,
+            pairingNumbers: this.pairingNumbers,
+            playoff: this.playoff,
+            players: this.players,
+            rounds: this.rounds,
+            matchResults: this.matchResults
+        }));
+    }
+
+    /**
+     * Replace this tournament's state with a snapshot from toSnapshot()
+     * @param {Object} snapshot
+     */
+    restore(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.players)) {
+            throw new Error('Invalid tournament snapshot');
+        }
+        if (snapshot.version > SNAPSHOT_VERSION) {
+            throw new Error(`Snapshot version ${snapshot.version} is newer than this app supports (${SNAPSHOT_VERSION})`);
+        }
+
+        const data = JSON.parse(JSON.stringify(snapshot));
+        const version = data.version || 1;
+        this.id = data.id || this.id;
+        this.name = data.name || this.name;
+        this.pairingSystem = data.pairingSystem || 'swiss';
+        this.currentRound = data.currentRound || 0;
+        this.plannedRounds = data.plannedRounds || Math.max(7, this.currentRound);
+        this.tieBreaks = (data.tieBreaks || DEFAULT_TIE_BREAKS).filter(key => TIE_BREAKS[key]);
+        this.grandFinalReset = data.grandFinalReset !== false;
+        this.knockoutFormat = normalizeMatchFormat(data.knockoutFormat || DEFAULT_KNOCKOUT_FORMAT);
+        this.bracket = data.bracket || null;
+        this.arenaSettings = { ...DEFAULT_ARENA_SETTINGS, ...data.arenaSettings };
+        this.arena = data.arena || null;
+        this.teams = data.teams || [];
+        this.teamBoards = data.teamBoards || 4;
+        this.teamScoring = TEAM_SCORING_LABELS[data.teamScoring] ? data.teamScoring : TEAM_SCORING_MATCH_POINTS;
+        this.avoidanceRules = data.avoidanceRules || [];
+        this.byeRequests = data.byeRequests || [];
+        this.byeSettings = { ...DEFAULT_BYE_SETTINGS, ...data.byeSettings };
+        this.kFactor = data.kFactor || DEFAULT_K_FACTOR;
+        this.roundRobinCycles = data.roundRobinCycles === 2 ? 2 : 1;
+        this.playoff = data.playoff || null;
+        this.pairingNumberMethod = PAIRING_NUMBER_METHODS[data.pairingNumberMethod] ? data.pairingNumberMethod : PAIRING_NUMBERS_RATING;
+        this.players = data.players.map(p => ({ colors: [], opponents: [], enteredRound: 1, withdrawnAfter: null, ...p }));
+        this.pairingNumbers = data.pairingNumbers || null;
+        this.rounds = data.rounds || [];
+        if (version < 2) {
+            // Round-robins used to number the players in list order
+            if (!this.pairingNumbers && this.pairingSystem === 'round-robin' && this.currentRound > 0) {
+                this.pairingNumbers = this.players.map(p => p.id);
+            }
+            // Byes used to wait for a click before they were scored, and an adjourned game counted as a recorded 0-0
+            this.rounds.forEach(roundData => roundData.pairings.forEach(p => {
+                if (p.bye && !p.player2Id) p.resultRecorded = true;
+                if (p.player2Id && isPendingResult(p.result)) p.resultRecorded = false;
+            }));
+        }
+        this.matchResults = data.matchResults || [];
+        this.recomputeStats();
+        return this;
     }
 }